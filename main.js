@@ -1,9 +1,11 @@
-const { PluginSettingTab, Setting, Plugin, ItemView } = require('obsidian');
+const { PluginSettingTab, Setting, Plugin, ItemView, Modal, FuzzySuggestModal, MarkdownRenderChild, Menu, Keymap, Notice, SearchComponent, TFile, TFolder, debounce, setIcon } = require('obsidian');
 
 module.exports = class PathsToMOCsPlugin extends Plugin {
     headerPathElements = new Map(); // Store header elements keyed by leaf ID
-    pathCache = new Map(); // Initialize path cache
-    parentNotesCache = new Map(); // Cache for parent notes
+    headerResizeObservers = new Map(); // Width observers of the header elements, keyed by leaf ID
+    noteRulesCache = new Map(); // Compiled folder, tag and property rules keyed by their setting values
+    inlineFields = new Map(); // Inline fields of the notes that have any, keyed by note path
+    canvases = new Map(); // Cards and arrows of every canvas, keyed by canvas path, once some profile reads canvases
 
     async onload() {
         this.settings = Object.assign({}, {
@@ -15,15 +17,57 @@ module.exports = class PathsToMOCsPlugin extends Plugin {
             enablePropertyDown: true,
             enableMocTags: true,
             enableHeaderName: true,
+            enableInlineFields: false, // Read inline fields such as "up:: [[Note]]" from the note body
+            inlineFieldUp: "up", // Inline fields linking to parent notes
+            inlineFieldDown: "down", // Inline fields linking to child notes
+            enableFolderNotes: false, // Treat the folder note of the containing folder as a parent
+            folderNoteNames: "{folder}, index", // Names of folder notes; {folder} stands for the folder name
+            folderParentOnlyWithoutUp: true, // Skip the folder parent of notes that have explicit parent links
+            headerIncludeEmbeds: false, // Embeds under the header are children too
+            headerNestedLists: false, // A link in a nested list item under the header is a child of the link in its parent item
+            enableCanvas: false, // Cards on a canvas are children of the canvas, or of the card an arrow points from
             excludedFolders: "",
             excludedTags: "",
+            excludedProperties: "", // Property conditions such as "draft: true"
+            rootExcludedFolders: "", // Notes matching these rules are never shown as the root of a path
+            rootExcludedTags: "",
+            rootExcludedProperties: "",
             enableCaching: true,
             maxDepth: 15, // Default max depth
             displayPathsInHeader: true, // Setting to display paths in header
-            pathSeparator: " → " // Setting for path separator
+            displayChildrenInHeader: false, // Compact row of child notes below the header paths
+            showChildrenInView: true, // "Children" section in the side panel
+            showSiblingsInView: true, // "Siblings" section in the side panel
+            viewDisplayMode: "flat", // "flat" lists every path, "tree" merges paths into a prefix tree
+            collapsedTreeNodes: {}, // Collapsed tree nodes of the side panel, keyed by note path
+            graphDepth: 3, // Levels of ancestors (and descendants) drawn in the hierarchy graph
+            graphShowDescendants: false, // Draw the descendants of the note in the hierarchy graph too
+            relationStyles: { up: "plain", down: "plain", inline: "plain", tag: "plain", header: "plain", folder: "plain", canvas: "plain" }, // How each relation source is shown on separators
+            pathSeparator: " → ", // Setting for path separator
+            labelTemplate: "{{basename}}", // Label of each note, e.g. "{{title|alias[0]|basename}}"
+            labelIconProperty: "icon", // Frontmatter property with an icon name or emoji shown before the label
+            labelMaxLength: 0, // Labels longer than this are cut off with the full name as a tooltip, 0 never cuts
+            compactHeaderPaths: "auto", // "never", "always" or "auto" to collapse the middle of long paths in narrow panes
+            maxVisiblePaths: 0, // Number of paths shown in the header before a "+N more" expander, 0 shows all
+            primaryPathOnly: false, // Show only the highest-ranked path in the header
+            pathSortOrder: "default", // "default", "shortest", "longest", "rootTag" or "relationPriority"
+            preferredRootTag: "MOC", // Paths whose root has this tag come first with the "rootTag" order
+            relationPriority: "up, down, inline, tag, header, folder, canvas", // Relation sources from most to least preferred
+            pinnedParentProperty: "primary-parent", // Frontmatter property that pins the preferred parent of a note
+            onePathPerRoot: false, // Keep only the highest-ranked path for each root MOC
+            breadcrumbProperty: "breadcrumbs", // Frontmatter property the "Write breadcrumbs" command fills
+            breadcrumbContent: "paths", // "paths" writes every path, "primary" the chain of the highest-ranked path
+            exportFolder: "", // Vault folder of the exported hierarchy files, empty for the vault root
+            relationWriteTarget: "property", // Where editing commands write links: "property" (up/down) or "header" (section of the parent)
+            profiles: [], // Named hierarchy profiles with their own relations, exclusions, separator and depth
         }, await this.loadData());
+        this.settings.relationStyles = Object.assign({ up: "plain", down: "plain", inline: "plain", tag: "plain", header: "plain", folder: "plain", canvas: "plain" }, this.settings.relationStyles);
 
-        this.addSettingTab(new PathsToMOCsSettingTab(this.app, this));
+        this.loadProfiles();
+        this.api = new PathsToMOCsApi(this);
+
+        this.settingTab = new PathsToMOCsSettingTab(this.app, this);
+        this.addSettingTab(this.settingTab);
 
         this.addCommand({
             id: "show-paths-side-window",
@@ -32,56 +76,152 @@ module.exports = class PathsToMOCsPlugin extends Plugin {
             icon: "list-tree"
         });
 
+        this.addCommand({
+            id: "pin-paths-side-window",
+            name: "Show navigation paths of the current note in a new pinned panel",
+            checkCallback: (checking) => {
+                const currentFile = this.app.workspace.getActiveFile();
+                if (!currentFile) return false;
+                if (!checking) this.openPinnedView(currentFile.path);
+                return true;
+            },
+            icon: "pin"
+        });
+
+        this.addCommand({
+            id: "show-hierarchy-graph",
+            name: "Show hierarchy graph in the side panel",
+            callback: () => this.activateView(HierarchyGraphView.VIEW_TYPE),
+            icon: "git-fork"
+        });
+
         this.addCommand({
             id: "refresh-paths",
             name: "Refresh paths",
             callback: async () => {
-                this.pathCache.clear();
-                this.parentNotesCache.clear();
-                const currentFile = this.app.workspace.getActiveFile();
-                if (currentFile && !this.isExcluded(currentFile.path)) {
-                    await this.updateAllPathsAndHeaders(currentFile.path);
-                } else {
-                    this.updateSidebarPaths([]);
-                    this.updateVisibleHeaders();
-                }
+                this.invalidateAll();
+                await this.refreshOpenViews();
+            },
+        });
+
+        this.addCommand({
+            id: "show-hierarchy-health",
+            name: "Show hierarchy health report",
+            callback: () => this.activateHealthView(),
+            icon: "heart-pulse"
+        });
+
+        this.addCommand({
+            id: "write-breadcrumbs",
+            name: "Write breadcrumbs to frontmatter",
+            callback: async () => {
+                new Notice("Computing breadcrumbs…");
+                new BreadcrumbPreviewModal(this, await this.planBreadcrumbChanges()).open();
             },
         });
 
+        for (const format of ["json", "csv", "graphml"]) {
+            this.addCommand({
+                id: `export-hierarchy-${format}`,
+                name: `Export hierarchy as ${format === "graphml" ? "GraphML" : format.toUpperCase()}`,
+                callback: () => this.exportHierarchy(format),
+            });
+        }
+
+        this.addEditCommand("set-parent", "Set parent…", (file) => {
+            this.chooseNote(this.getOtherNotes(file.path), (parentPath) => this.linkParent(file.path, parentPath));
+        });
+        this.addEditCommand("add-child", "Add child…", (file) => {
+            this.chooseNote(this.getOtherNotes(file.path), (childPath) => this.linkChild(file.path, childPath));
+        });
+        this.addEditCommand("move-under", "Move under…", (file) => {
+            this.chooseNote(this.getOtherNotes(file.path), (parentPath) => this.moveUnder(file.path, parentPath));
+        });
+        this.addEditCommand("detach-from-parent", "Detach from parent", async (file) => {
+            const parents = await this.collectNotesOfGroups(await this.calculatePathGroups(file.path),
+                profile => this.getParentNotes(file.path, profile));
+            if (parents.length === 0) {
+                new Notice("No parent notes found.");
+                return;
+            }
+            this.chooseNote(parents, (parentPath) => this.detachFromParent(file.path, parentPath));
+        });
+
+        this.addNavigationCommand("go-to-parent", "Go to parent", "No parent notes found.",
+            (notePath, groups) => this.collectNotesOfGroups(groups, profile => this.getParentNotes(notePath, profile)));
+        this.addNavigationCommand("go-to-root", "Go to root MOC", "No root MOCs found.",
+            (notePath, groups) => this.getRootNotes(groups));
+        this.addNavigationCommand("go-to-next-sibling", "Go to next sibling", "No siblings found.",
+            (notePath, groups) => this.getAdjacentSiblings(notePath, groups, 1));
+        this.addNavigationCommand("go-to-previous-sibling", "Go to previous sibling", "No siblings found.",
+            (notePath, groups) => this.getAdjacentSiblings(notePath, groups, -1));
+        this.addNavigationCommand("go-to-first-child", "Go to first child", "No child notes found.",
+            (notePath, groups) => this.collectNotesOfGroups(groups, profile => this.getChildNotes(notePath, profile)));
+
         this.registerView(PathsToMOCsView.VIEW_TYPE, (leaf) => new PathsToMOCsView(leaf, this));
+        this.registerHoverLinkSource(HOVER_LINK_SOURCE, { display: "Paths to MOCs", defaultMod: true });
+        this.registerView(HierarchyHealthView.VIEW_TYPE, (leaf) => new HierarchyHealthView(leaf, this));
+        this.registerView(HierarchyGraphView.VIEW_TYPE, (leaf) => new HierarchyGraphView(leaf, this));
 
-        this.app.workspace.on('active-leaf-change', async (leaf) => {
+        this.registerMarkdownCodeBlockProcessor("paths-to-mocs", (source, el, ctx) => {
+            ctx.addChild(new PathsCodeBlock(el, this, source, ctx.sourcePath));
+        });
+
+        this.registerEvent(this.app.workspace.on('active-leaf-change', async (leaf) => {
             if (leaf?.view?.file) {
                 await this.updatePathsAndHeader(leaf);
             }
-        });
+        }));
 
-        this.app.workspace.on('file-open', async (file) => {
+        this.registerEvent(this.app.workspace.on('file-open', async (file) => {
             if (file) {
                 await this.updateAllPathsAndHeaders(file.path);
             }
+        }));
+
+        // Keep cached paths in sync with the vault and re-render them live
+        this.requestRefresh = debounce(() => this.refreshOpenViews(), 300, true);
+        this.registerEvent(this.app.metadataCache.on('changed', (file, data) => this.handleFileChanged(file, data)));
+        this.registerEvent(this.app.metadataCache.on('resolved', () => this.handleResolved()));
+        this.registerEvent(this.app.vault.on('modify', (file) => this.handleFileModified(file)));
+        this.registerEvent(this.app.vault.on('create', (file) => this.handleFileCreated(file)));
+        this.registerEvent(this.app.vault.on('rename', (file, oldPath) => this.handleFileRenamed(file, oldPath)));
+        this.registerEvent(this.app.vault.on('delete', (file) => this.handleFileDeleted(file)));
+
+        // Inline fields and canvases are read from the files, so they need no resolved metadata. onLayoutReady also
+        // runs when the plugin is enabled later, after the metadata cache has resolved and no longer fires 'resolved'.
+        this.app.workspace.onLayoutReady(() => {
+            this.layoutReady = true;
+            this.loadInlineFields();
+            this.loadCanvases();
         });
     }
 
     onunload() {
+        this.requestRefresh?.cancel();
         this.app.workspace.detachLeavesOfType(PathsToMOCsView.VIEW_TYPE);
+        this.app.workspace.detachLeavesOfType(HierarchyGraphView.VIEW_TYPE);
+        this.app.workspace.detachLeavesOfType(HierarchyHealthView.VIEW_TYPE);
         // Remove all header path elements
         this.headerPathElements.forEach((element) => {
             element.remove();
         });
         this.headerPathElements.clear();
+        this.headerResizeObservers.forEach((observer) => observer.disconnect());
+        this.headerResizeObservers.clear();
     }
 
     async saveSettings() {
         await this.saveData(this.settings);
     }
 
-    async activateView() {
-        const existingLeaf = this.app.workspace.getLeavesOfType(PathsToMOCsView.VIEW_TYPE)[0];
+    // Open a view of the right side panel, the paths view by default. Paths panels pinned to a note are left alone.
+    async activateView(viewType = PathsToMOCsView.VIEW_TYPE) {
+        const existingLeaf = this.app.workspace.getLeavesOfType(viewType).find(leaf => !leaf.view.pinnedNotePath);
 
         if (!existingLeaf) {
             await this.app.workspace.getRightLeaf(false).setViewState({
-                type: PathsToMOCsView.VIEW_TYPE,
+                type: viewType,
                 state: { active: true },
             });
         } else {
@@ -89,392 +229,2453 @@ module.exports = class PathsToMOCsPlugin extends Plugin {
         }
     }
 
-    isExcluded(filePath) {
-        const excludedFolders = this.settings.excludedFolders.split(',').map(folder => folder.trim()).filter(Boolean);
-        const excludedTags = this.settings.excludedTags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
-        const file = this.app.vault.getAbstractFileByPath(filePath);
+    // Paths panel locked to one note, split below the other panels of the right side panel
+    async openPinnedView(notePath) {
+        const leaf = this.app.workspace.getRightLeaf(true);
+        await leaf.setViewState({
+            type: PathsToMOCsView.VIEW_TYPE,
+            state: { pinnedNotePath: notePath },
+            active: true,
+        });
+        this.app.workspace.revealLeaf(leaf);
+    }
 
-        if (!file) return false;
+    // The health report opens in the main area, next to the notes it points to
+    async activateHealthView() {
+        const existingLeaf = this.app.workspace.getLeavesOfType(HierarchyHealthView.VIEW_TYPE)[0];
 
-        // Check for excluded folders
-        for (const folder of excludedFolders) {
-            if (file.parent?.path.startsWith(folder)) {
-                return true;
-            }
+        if (!existingLeaf) {
+            await this.app.workspace.getLeaf('tab').setViewState({
+                type: HierarchyHealthView.VIEW_TYPE,
+                active: true,
+            });
+        } else {
+            this.app.workspace.revealLeaf(existingLeaf);
+            await existingLeaf.view.render();
+        }
+    }
+
+    // Problems in the hierarchy of a profile: cycles, relations in both directions, notes outside the hierarchy,
+    // notes without a path to a MOC, notes whose paths are all longer than the search depth and property links to missing notes
+    async collectHealthReport(profile = this.defaultProfile) {
+        const settings = profile.settings;
+        const notePaths = this.app.vault.getMarkdownFiles()
+            .map(file => file.path)
+            .filter(notePath => !this.isExcluded(notePath, profile));
+        const parentsOf = new Map();
+        const childrenOf = new Map();
+        for (const notePath of notePaths) {
+            parentsOf.set(notePath, await this.getParentNotes(notePath, profile));
+            childrenOf.set(notePath, await this.getChildNotes(notePath, profile));
         }
 
-        // Check for excluded tags
-        if (excludedTags.length > 0) {
-            const metadata = this.app.metadataCache.getFileCache(file);
-            const tags = new Set(
-                (Array.isArray(metadata?.frontmatter?.tags) ? metadata.frontmatter.tags : [metadata?.frontmatter?.tags || ''])
-                    .map(tag => tag?.toLowerCase().trim())
-            );
-            metadata?.tags?.forEach(tag => tags.add(tag.tag.substring(1).toLowerCase().trim()));
-            for (const tag of excludedTags) {
-                if (tags.has(tag)) {
-                    return true;
+        const report = { cycles: [], conflicts: [], orphans: [], unreachable: [], tooDeep: [], danglingLinks: [] };
+
+        // Notes that are both parent and child of each other
+        for (const [notePath, parents] of parentsOf) {
+            for (const parentNote of parents) {
+                if (notePath < parentNote && parentsOf.get(parentNote)?.includes(notePath)) {
+                    report.conflicts.push([parentNote, notePath, parentNote]);
                 }
             }
         }
 
-        return false;
-    }
+        // Longer cycles, found by walking up the parents depth-first. Each one is stored parent first and closed
+        // with its first note, like a path.
+        const state = new Map(); // notePath -> "visiting" while on the stack, "done" afterwards
+        const foundCycles = new Set();
+        for (const startNotePath of notePaths) {
+            if (state.has(startNotePath)) continue;
+            const stack = [[startNotePath, 0]];
+            const walk = [startNotePath];
+            state.set(startNotePath, "visiting");
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                const parents = parentsOf.get(frame[0]) || [];
+                if (frame[1] >= parents.length) {
+                    state.set(frame[0], "done");
+                    stack.pop();
+                    walk.pop();
+                    continue;
+                }
+                const parentNote = parents[frame[1]++];
+                if (state.get(parentNote) === "visiting") {
+                    const cycle = walk.slice(walk.indexOf(parentNote)).reverse();
+                    const cycleKey = [...cycle].sort().join('\n');
+                    if (cycle.length > 2 && !foundCycles.has(cycleKey)) {
+                        foundCycles.add(cycleKey);
+                        report.cycles.push([...cycle, cycle[0]]);
+                    }
+                } else if (!state.has(parentNote)) {
+                    state.set(parentNote, "visiting");
+                    stack.push([parentNote, 0]);
+                    walk.push(parentNote);
+                }
+            }
+        }
 
-    async updateAllPathsAndHeaders(currentNotePath) {
-        if (this.isExcluded(currentNotePath)) {
-            this.updateSidebarPaths([]);
-            this.updateVisibleHeadersForPath(currentNotePath, []);
-            return;
+        // Shortest path length of every note, walking down from the notes that can be a root
+        const shortestPathLength = new Map();
+        const queue = notePaths.filter(notePath => parentsOf.get(notePath).length === 0 && !this.isExcludedAsRoot(notePath, profile));
+        queue.forEach(notePath => shortestPathLength.set(notePath, 1));
+        for (let queueIndex = 0; queueIndex < queue.length; queueIndex++) {
+            const notePath = queue[queueIndex];
+            for (const childNote of childrenOf.get(notePath) || []) {
+                if (shortestPathLength.has(childNote)) continue;
+                shortestPathLength.set(childNote, shortestPathLength.get(notePath) + 1);
+                queue.push(childNote);
+            }
         }
-        const paths = await this.calculatePaths(currentNotePath);
-        this.updateSidebarPaths(paths);
-        this.updateVisibleHeadersForPath(currentNotePath, paths);
-    }
 
-    async updatePathsAndHeader(leaf) {
-        if (!leaf?.view?.file) return;
-        const currentNotePath = leaf.view.file.path;
+        for (const notePath of notePaths) {
+            if (parentsOf.get(notePath).length === 0) {
+                if (childrenOf.get(notePath).length === 0) report.orphans.push(notePath);
+            } else if (!shortestPathLength.has(notePath)) {
+                report.unreachable.push(notePath);
+            } else if (shortestPathLength.get(notePath) > settings.maxDepth) {
+                report.tooDeep.push({ notePath, length: shortestPathLength.get(notePath) });
+            }
+        }
 
-        if (this.isExcluded(currentNotePath)) {
-            this.removeHeaderPathElement(leaf);
-            this.updateSidebarPaths([]);
-            return;
+        for (const notePath of notePaths) {
+            const metadata = this.app.metadataCache.getCache(notePath);
+            const propertyNames = [
+                settings.enablePropertyUp ? settings.propertyUp : "",
+                settings.enablePropertyDown ? settings.propertyDown : ""
+            ].filter(Boolean).join(',');
+            profile.index.getDanglingPropertyLinks(metadata, propertyNames, notePath)
+                .forEach(link => report.danglingLinks.push({ notePath, ...link }));
         }
 
-        const paths = await this.calculatePaths(currentNotePath);
-        this.updateSidebarPaths(paths);
-        this.displayHeaderPaths(leaf, paths);
+        return report;
     }
 
-    updateSidebarPaths(paths) {
-        this.app.workspace.getLeavesOfType(PathsToMOCsView.VIEW_TYPE).forEach(leaf => {
-            const view = leaf.view;
-            if (view instanceof PathsToMOCsView) {
-                view.updatePaths(paths);
+    // Breadcrumbs of a note for its frontmatter: every path as one string of links, or the links of the
+    // highest-ranked path. The note itself is left out. Returns null when the note has no paths.
+    getBreadcrumbValue(notePath, groups) {
+        const toLink = (pathNote) => this.createLabelledWikilink(pathNote, notePath);
+        const paths = groups.flatMap(group => group.paths.map(path => ({ path: path.slice(0, -1), profile: group.profile })));
+        if (paths.length === 0) return null;
+        if (this.settings.breadcrumbContent === "primary") {
+            return paths[0].path.map(toLink);
+        }
+        return paths.map(({ path, profile }) => path.map(toLink).join(profile.settings.pathSeparator));
+    }
+
+    // Notes whose breadcrumb property differs from their current paths, as [{ file, oldValue, newValue }]
+    async planBreadcrumbChanges() {
+        const property = this.settings.breadcrumbProperty.trim();
+        const changes = [];
+        if (!property) return changes;
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            const groups = await this.calculatePathGroups(file.path);
+            const oldValue = this.app.metadataCache.getFileCache(file)?.frontmatter?.[property] ?? null;
+            // Excluded notes keep whatever they have
+            if (groups.length === 0) continue;
+            const newValue = this.getBreadcrumbValue(file.path, groups);
+            if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                changes.push({ file, oldValue, newValue });
             }
-        });
+        }
+        return changes;
     }
 
-    async calculatePaths(startNotePath) {
-        if (this.isExcluded(startNotePath)) {
-            return [];
+    async applyBreadcrumbChanges(changes) {
+        const property = this.settings.breadcrumbProperty.trim();
+        for (const { file, newValue } of changes) {
+            try {
+                await this.app.fileManager.processFrontMatter(file, (frontmatter) => {
+                    if (newValue === null) {
+                        delete frontmatter[property];
+                    } else {
+                        frontmatter[property] = newValue;
+                    }
+                });
+            } catch (error) {
+                console.error("applyBreadcrumbChanges: Could not update the frontmatter of", file.path, error);
+            }
         }
+        new Notice(`Breadcrumbs written to ${changes.length} note${changes.length === 1 ? "" : "s"}.`);
+    }
 
-        if (this.settings.enableCaching && this.pathCache.has(startNotePath)) {
-            return this.pathCache.get(startNotePath);
+    // Paths of every note and the relations between them, as { notes: [{ path, paths }], edges: [{ parent, child, profile, relations }] }
+    async collectHierarchy() {
+        const notes = [];
+        const edges = [];
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            const groups = await this.calculatePathGroups(file.path);
+            if (groups.length === 0) continue;
+            notes.push({ path: file.path, label: this.getNoteName(file.path), paths: groups.flatMap(group => group.paths.map(path => [...path])) });
+            for (const { profile } of groups) {
+                for (const parentNote of await this.getParentNotes(file.path, profile)) {
+                    edges.push({ parent: parentNote, child: file.path, profile: profile.name, relations: profile.index.getRelations(parentNote, file.path) });
+                }
+            }
         }
+        return { notes, edges };
+    }
 
-        const paths = [];
-        const queue = [[startNotePath, [startNotePath]]]; // [currentNotePath, currentPath]
+    async exportHierarchy(format) {
+        const hierarchy = await this.collectHierarchy();
+        const content = format === "json" ? hierarchyToJson(hierarchy)
+            : format === "csv" ? hierarchyToCsv(hierarchy)
+            : hierarchyToGraphML(hierarchy, (notePath) => this.getNoteName(notePath));
+        const exportPath = await this.writeExportFile(`hierarchy.${format}`, content);
+        new Notice(exportPath ? `Hierarchy exported to ${exportPath}` : "Could not export the hierarchy.");
+    }
 
-        while (queue.length > 0) {
-            const [currentNotePath, currentPath] = queue.shift();
+    // Write a file to the export folder, replacing an earlier export. Returns its path, or null when it could not be written.
+    async writeExportFile(fileName, content) {
+        const folder = this.settings.exportFolder.trim().replace(/^\/+|\/+$/g, '');
+        const exportPath = `${folder ? folder + '/' : ''}${fileName}`;
 
-            if (currentPath.length > this.settings.maxDepth) {
-                continue; // Stop exploring this path if max depth is reached
+        try {
+            if (folder && !this.app.vault.getAbstractFileByPath(folder)) {
+                await this.app.vault.createFolder(folder);
+            }
+            const existingFile = this.app.vault.getAbstractFileByPath(exportPath);
+            if (existingFile instanceof TFile) {
+                await this.app.vault.modify(existingFile, content);
+            } else {
+                await this.app.vault.create(exportPath, content);
             }
+            return exportPath;
+        } catch (error) {
+            console.error("writeExportFile: Could not write", exportPath, error);
+            return null;
+        }
+    }
 
-            const parentNotes = await this.getParentNotes(currentNotePath);
-            for (const parentNote of parentNotes) {
-                if (!currentPath.includes(parentNote)) {
-                    queue.push([parentNote, [parentNote, ...currentPath]]);
+    // Settings as JSON to share with other vaults. The collapsed tree nodes belong to the notes of this vault and stay here.
+    settingsToJson() {
+        const { collapsedTreeNodes, ...settings } = this.settings;
+        return JSON.stringify(settings, null, 2);
+    }
+
+    // Take over the settings of a JSON export. Keys this version does not know and values the settings tab would not
+    // accept are skipped and returned, so the caller can report them. Throws when the JSON is not a settings object.
+    async importSettings(json) {
+        const imported = JSON.parse(json);
+        if (!isPlainObject(imported)) {
+            throw new Error("The JSON does not contain settings.");
+        }
+
+        const skippedKeys = [];
+        for (const [key, value] of Object.entries(imported)) {
+            if (key === 'collapsedTreeNodes' || !isValidSettingValue(key, value, this.settings[key])) {
+                skippedKeys.push(key);
+            } else if (key === 'relationStyles') {
+                for (const [source, style] of Object.entries(value)) {
+                    if (RELATION_SOURCES[source] && RELATION_STYLES.includes(style)) {
+                        this.settings.relationStyles[source] = style;
+                    } else {
+                        skippedKeys.push(`relationStyles.${source}`);
+                    }
                 }
-            }
-            if (parentNotes.length === 0 && currentPath.length > 1) {
-                paths.push(currentPath);
+            } else if (key !== 'profiles') {
+                this.settings[key] = value;
             }
         }
+        // Profiles last, so they copy the imported default settings
+        if (isValidSettingValue('profiles', imported.profiles, this.settings.profiles)) {
+            this.settings.profiles = this.importProfiles(imported.profiles, skippedKeys);
+        }
 
-        const filteredPaths = this.filterSubPaths(paths.map(p => p.reverse()));
-        const reversedFilteredPaths = filteredPaths.map(p => p.reverse());
+        await this.saveSettings();
+        this.loadProfiles();
+        this.invalidateAll();
+        return skippedKeys;
+    }
 
-        if (this.settings.enableCaching) {
-            this.pathCache.set(startNotePath, reversedFilteredPaths);
+    // Profiles of a settings import. Entries without a string id and name, or reusing an id, are skipped. So are
+    // the values a profile would not accept. Those and the settings missing from an entry are copied from the
+    // default settings, as for a new profile, so the settings tab shows what the profile uses.
+    importProfiles(profiles, skippedKeys) {
+        const ids = new Set([DEFAULT_PROFILE_ID]);
+        const importedProfiles = [];
+        profiles.forEach((profileData, idx) => {
+            if (!isPlainObject(profileData) || typeof profileData.id !== 'string' || !profileData.id ||
+                typeof profileData.name !== 'string' || ids.has(profileData.id)) {
+                skippedKeys.push(`profiles[${idx}]`);
+                return;
+            }
+            ids.add(profileData.id);
+            const profile = Object.assign(createProfileData(this.settings, profileData.name), { id: profileData.id });
+            for (const [key, value] of Object.entries(profileData)) {
+                if (key === 'id' || key === 'name') continue;
+                const isValid = key === 'matchFolders' || key === 'matchTags'
+                    ? typeof value === 'string'
+                    : PROFILE_SETTING_KEYS.includes(key) && isValidSettingValue(key, value, this.settings[key]);
+                if (isValid) {
+                    profile[key] = value;
+                } else {
+                    skippedKeys.push(`profiles[${idx}].${key}`);
+                }
+            }
+            importedProfiles.push(profile);
+        });
+        return importedProfiles;
+    }
+
+    // Command that edits the relations of the active note
+    addEditCommand(id, name, run) {
+        this.addCommand({
+            id,
+            name,
+            checkCallback: (checking) => {
+                const currentFile = this.app.workspace.getActiveFile();
+                if (!currentFile || currentFile.extension !== 'md') return false;
+                if (!checking) run(currentFile);
+                return true;
+            },
+        });
+    }
+
+    getOtherNotes(notePath) {
+        return this.sortByName(this.app.vault.getMarkdownFiles().map(file => file.path).filter(otherPath => otherPath !== notePath));
+    }
+
+    // Ask for a note with the note suggester, also when there is only one choice, so that editing commands never
+    // write a link the user did not pick
+    chooseNote(notePaths, onChoose) {
+        new NoteSuggestModal(this, notePaths, onChoose).open();
+    }
+
+    // Relations of a note are written with the settings of the first profile that applies to it
+    getEditProfile(notePath) {
+        return this.getProfilesForNote(notePath).find(profile => !this.isExcluded(notePath, profile)) || this.defaultProfile;
+    }
+
+    // Make parentPath a parent of childPath, in the "up" property of the child or under the header of the parent
+    async linkParent(childPath, parentPath) {
+        const settings = this.getEditProfile(childPath).settings;
+        if (this.settings.relationWriteTarget === "header") {
+            await this.addToHeaderSection(parentPath, childPath, settings);
+        } else {
+            await this.addPropertyLink(childPath, splitRuleList(settings.propertyUp)[0], parentPath);
         }
+    }
 
-        return reversedFilteredPaths;
+    // Make childPath a child of parentPath, in the "down" property of the parent or under its header
+    async linkChild(parentPath, childPath) {
+        const settings = this.getEditProfile(parentPath).settings;
+        if (this.settings.relationWriteTarget === "header") {
+            await this.addToHeaderSection(parentPath, childPath, settings);
+        } else {
+            await this.addPropertyLink(parentPath, splitRuleList(settings.propertyDown)[0], childPath);
+        }
     }
 
-     filterSubPaths(paths) {
-        return paths.filter((path, index, self) => {
-            return !self.some((otherPath, otherIndex) => {
-                if (index === otherIndex) return false;
-                if (otherPath.length < path.length) return false; // Only consider longer paths
-                return otherPath.slice(-path.length).every((note, idx) => note === path[idx]);
-            });
-        });
+    // Replace the written parents of a note with a single new parent
+    async moveUnder(childPath, parentPath) {
+        const profile = this.getEditProfile(childPath);
+        for (const oldParentPath of await this.getParentNotes(childPath, profile)) {
+            if (oldParentPath !== parentPath) await this.detachFromParent(childPath, oldParentPath, false);
+        }
+        await this.linkParent(childPath, parentPath);
     }
 
-    async getParentNotes(notePath) {
-        if (this.settings.enableCaching && this.parentNotesCache.has(notePath)) {
-            return this.parentNotesCache.get(notePath);
+    // Remove the links that make parentPath a parent of childPath from properties and header sections.
+    // Relations from MOC tags, inline fields and folder notes are left alone.
+    async detachFromParent(childPath, parentPath, notify = true) {
+        const settings = this.getEditProfile(childPath).settings;
+        let removed = 0;
+        for (const property of splitRuleList(settings.propertyUp)) {
+            removed += await this.removePropertyLinks(childPath, property, parentPath);
+        }
+        for (const property of splitRuleList(settings.propertyDown)) {
+            removed += await this.removePropertyLinks(parentPath, property, childPath);
+        }
+        removed += await this.removeFromHeaderSection(parentPath, childPath, settings);
+
+        if (notify && removed === 0) {
+            new Notice(`${this.getNoteName(childPath)} is linked to ${this.getNoteName(parentPath)} by a MOC tag, an inline field or a folder note, which were not changed.`);
         }
+        return removed;
+    }
 
-        const parentNotes = new Set();
+    // Link text of a note as written in sourcePath, e.g. "[[Note]]"
+    createWikilink(notePath, sourcePath) {
         const file = this.app.vault.getAbstractFileByPath(notePath);
+        return `[[${file ? this.app.metadataCache.fileToLinktext(file, sourcePath, true) : notePath}]]`;
+    }
 
-        if (!file || !(file instanceof this.app.vault.getFiles()[0].constructor)) {
-            return [];
-        }
+    // Link that shows the configured label where it differs from the link text, for breadcrumbs and copied paths
+    createLabelledWikilink(notePath, sourcePath) {
+        const file = this.app.vault.getAbstractFileByPath(notePath);
+        const linkText = file ? this.app.metadataCache.fileToLinktext(file, sourcePath, true) : notePath;
+        const label = this.getNoteName(notePath).replace(/[[\]|]/g, '');
+        return label && label !== linkText ? `[[${linkText}|${label}]]` : `[[${linkText}]]`;
+    }
 
-        const resolveLink = (linkText, sourcePath) => {
-            let dest = this.app.metadataCache.getFirstLinkpathDest(linkText, sourcePath);
-            if (!dest && !linkText.endsWith(".md")) {
-                dest = this.app.metadataCache.getFirstLinkpathDest(linkText + ".md", sourcePath);
-            }
-            return dest?.path;
-        };
+    // Whether a frontmatter value or a line of text links to the note
+    linksTo(value, notePath, sourcePath) {
+        return parseLinkValues(value).some(linkText => this.defaultProfile.index.resolveLink(linkText, sourcePath) === notePath);
+    }
 
-        // Helper function to check if a link exists in the "Up" properties of a given file
-        const isLinkedAsUp = (linkedFile, targetNotePath) => {
-            const upProperties = this.settings.propertyUp.split(',').map(p => p.trim());
-            const metadata = this.app.metadataCache.getFileCache(linkedFile);
-            for (const propertyUp of upProperties) {
-                if (metadata?.frontmatter?.[propertyUp]) {
-                    const upLinks = Array.isArray(metadata.frontmatter[propertyUp])
-                        ? metadata.frontmatter[propertyUp]
-                        : [metadata.frontmatter[propertyUp]];
-                    for (const link of upLinks) {
-                        try {
-                            const linkWithoutAlias = link.replace(/\|.*$/, '');
-                            const linkedFilePath = resolveLink(linkWithoutAlias.replace("[[", "").replace("]]", ""), linkedFile.path);
-                            if (linkedFilePath === targetNotePath) {
-                                return true;
-                            }
-                        } catch (error) {
-                            console.error("Error processing link in 'Up' property:", link, error);
-                        }
-                    }
-                }
-            }
-            return false;
-        };
+    // Add a link to a property, keeping its existing values
+    async addPropertyLink(notePath, property, linkedPath) {
+        const file = this.app.vault.getAbstractFileByPath(notePath);
+        if (!(file instanceof TFile) || !property) return;
+        await this.app.fileManager.processFrontMatter(file, (frontmatter) => {
+            const values = frontmatter[property] === undefined || frontmatter[property] === null ? [] : [].concat(frontmatter[property]);
+            if (values.some(value => this.linksTo(value, linkedPath, notePath))) return;
+            values.push(this.createWikilink(linkedPath, notePath));
+            frontmatter[property] = values.length === 1 ? values[0] : values;
+        });
+    }
 
-        // Check for parent notes via "Up" property
-        if (this.settings.enablePropertyUp) {
-            const upProperties = this.settings.propertyUp.split(',').map(p => p.trim());
-            const metadata = this.app.metadataCache.getFileCache(file);
-            for (const propertyUp of upProperties) {
-                if (metadata?.frontmatter?.[propertyUp]) {
-                    const links = Array.isArray(metadata.frontmatter[propertyUp])
-                        ? metadata.frontmatter[propertyUp]
-                        : [metadata.frontmatter[propertyUp]];
-
-                    for (const link of links) {
-                        try {
-                            const linkWithoutAlias = link.replace(/\|.*$/, '');
-                            const linkedFilePath = resolveLink(linkWithoutAlias.replace("[[", "").replace("]]", ""), notePath);
-                            if (linkedFilePath && !this.isExcluded(linkedFilePath)) {
-                                parentNotes.add(linkedFilePath);
-                            }
-                        } catch (error) {
-                            console.error("Error processing link in 'Up' property:", link, error);
-                        }
-                    }
-                }
+    // Remove the values of a property that link to the note. Returns the number of removed values.
+    async removePropertyLinks(notePath, property, linkedPath) {
+        const file = this.app.vault.getAbstractFileByPath(notePath);
+        const currentValue = this.app.metadataCache.getFileCache(file)?.frontmatter?.[property];
+        if (!(file instanceof TFile) || currentValue === undefined || !this.linksTo(currentValue, linkedPath, notePath)) return 0;
+
+        let removed = 0;
+        await this.app.fileManager.processFrontMatter(file, (frontmatter) => {
+            const values = [].concat(frontmatter[property] ?? []);
+            const remaining = values.filter(value => !this.linksTo(value, linkedPath, notePath));
+            removed = values.length - remaining.length;
+            if (remaining.length === 0) {
+                delete frontmatter[property];
+            } else {
+                frontmatter[property] = Array.isArray(frontmatter[property]) ? remaining : remaining[0];
             }
-        }
+        });
+        return removed;
+    }
 
-        // Check for parent notes linking to this note with "Down" property
-        if (this.settings.enablePropertyDown) {
-            const downProperties = this.settings.propertyDown.split(',').map(p => p.trim());
-            const backlinks = this.app.metadataCache.getBacklinksForFile(file);
-            if (backlinks) {
-                for (const linkedFilePath of backlinks.keys()) {
-                    if (this.isExcluded(linkedFilePath)) continue;
-                    const linkedFile = this.app.vault.getAbstractFileByPath(linkedFilePath);
-                    const metadata = this.app.metadataCache.getFileCache(linkedFile);
-                    for (const propertyDown of downProperties) {
-                        if (metadata?.frontmatter?.[propertyDown]) {
-                            const downLinks = Array.isArray(metadata.frontmatter[propertyDown])
-                                ? metadata.frontmatter[propertyDown]
-                                : [metadata.frontmatter[propertyDown]];
-
-                            if (downLinks.some(link => {
-                                try {
-                                    const linkWithoutAlias = link.replace(/\|.*$/, '');
-                                    return resolveLink(linkWithoutAlias.replace("[[", "").replace("]]", ""), linkedFilePath) === notePath;
-                                } catch (error) {
-                                    console.error("Error resolving link:", link, error);
-                                    return false;
-                                }
-                            })) {
-                                parentNotes.add(linkedFilePath);
-                            }
-                        }
-                    }
-                }
+    // Append "- [[Child]]" to the first section of the parent matching the header names, creating the section if needed
+    async addToHeaderSection(parentPath, childPath, settings) {
+        const file = this.app.vault.getAbstractFileByPath(parentPath);
+        if (!(file instanceof TFile)) return;
+        const listItem = `- ${this.createWikilink(childPath, parentPath)}`;
+        // The first header name that is not a regular expression, without the "*" of a prefix
+        const headerTitle = splitRuleList(settings.headerName)
+            .find(rule => !/^\/.+\/[a-z]*$/.test(rule))?.replace(/\*$/, '');
+
+        await this.app.vault.process(file, (content) => {
+            const lines = content.split('\n');
+            const section = findHeaderSections(lines, compileHeadingRules(settings.headerName))[0];
+            if (section) {
+                if (lines.slice(section.start + 1, section.end).some(line => this.linksTo(line, childPath, parentPath))) return content;
+                let insertAt = section.end;
+                while (insertAt > section.start + 1 && lines[insertAt - 1].trim() === '') insertAt--;
+                lines.splice(insertAt, 0, listItem);
+                return lines.join('\n');
             }
-        }
+            if (!headerTitle) {
+                new Notice("No header to add the link under. Set a plain header name in the settings.");
+                return content;
+            }
+            return `${content.replace(/\n*$/, '')}\n\n## ${headerTitle}\n${listItem}\n`;
+        });
+    }
 
-        // Check for parent notes linking to this note with MOC tags
-        if (this.settings.enableMocTags) {
-            const mocTagsArray = this.settings.mocTags.split(',').map(tag => tag.trim().toLowerCase());
-            const backlinks = this.app.metadataCache.getBacklinksForFile(file);
-
-            if (backlinks) {
-                for (const linkedFilePath of backlinks.keys()) {
-                    if (this.isExcluded(linkedFilePath)) continue;
-                    const linkedFile = this.app.vault.getAbstractFileByPath(linkedFilePath);
-                    const metadata = this.app.metadataCache.getFileCache(linkedFile);
-                    const tags = new Set(
-                        (Array.isArray(metadata?.frontmatter?.tags) ? metadata.frontmatter.tags : [metadata?.frontmatter?.tags || ''])
-                            .map(tag => tag?.toLowerCase().trim())
-                    );
-
-                    const fileCache = this.app.metadataCache.getFileCache(linkedFile);
-                    fileCache?.tags?.forEach(tag => tags.add(tag.tag.substring(1).toLowerCase().trim()));
-
-                    for (const tag of mocTagsArray) {
-                        if (tags.has(tag)) {
-                            // Check if the link to the current note comes from an "Up" property of the MOC note
-                            if (!isLinkedAsUp(linkedFile, notePath)) {
-                                parentNotes.add(linkedFilePath);
-                            }
-                            break;
-                        }
+    // Remove links to the child from the header sections of the parent. Returns the number of changed lines.
+    async removeFromHeaderSection(parentPath, childPath, settings) {
+        const file = this.app.vault.getAbstractFileByPath(parentPath);
+        if (!(file instanceof TFile) || !settings.enableHeaderName) return 0;
+        let removed = 0;
+
+        await this.app.vault.process(file, (content) => {
+            const lines = content.split('\n');
+            const sections = findHeaderSections(lines, compileHeadingRules(settings.headerName));
+            const keptLines = [];
+            lines.forEach((line, idx) => {
+                const inSection = sections.some(section => idx > section.start && idx < section.end);
+                if (inSection && this.linksTo(line, childPath, parentPath)) {
+                    removed++;
+                    // Keep the rest of the line when it says more than the link
+                    const rest = line.replace(WIKILINK_PATTERN, (link) => this.linksTo(link, childPath, parentPath) ? '' : link)
+                        .replace(MARKDOWN_LINK_PATTERN, (link) => this.linksTo(link, childPath, parentPath) ? '' : link);
+                    if (rest.replace(/^\s*(?:[-*+]|\d+[.)])?\s*/, '').trim()) {
+                        keptLines.push(rest.replace(/^(\s*(?:[-*+]|\d+[.)])?\s)\s+/, '$1').replace(/\s+$/, ''));
                     }
+                    return;
                 }
-            }
+                keptLines.push(line);
+            });
+            return removed > 0 ? keptLines.join('\n') : content;
+        });
+        return removed;
+    }
+
+    // Command that opens a note related to the active one. getTargets(notePath, groups) returns the candidates;
+    // the first one is opened directly when it is the only one, otherwise they are offered in a suggest modal.
+    addNavigationCommand(id, name, emptyMessage, getTargets) {
+        this.addCommand({
+            id,
+            name,
+            checkCallback: (checking) => {
+                const currentFile = this.app.workspace.getActiveFile();
+                if (!currentFile) return false;
+                if (!checking) this.navigate(currentFile.path, emptyMessage, getTargets);
+                return true;
+            },
+        });
+    }
+
+    async navigate(notePath, emptyMessage, getTargets) {
+        const targets = await getTargets(notePath, await this.calculatePathGroups(notePath));
+        if (targets.length === 0) {
+            new Notice(emptyMessage);
+        } else if (targets.length === 1) {
+            this.app.workspace.openLinkText(targets[0], '', false);
+        } else {
+            new NoteSuggestModal(this, targets, (targetPath) => this.app.workspace.openLinkText(targetPath, '', false)).open();
         }
+    }
 
-        // Check for parent notes linking to this note under a specific header
-        if (this.settings.enableHeaderName) {
-            const headerNames = this.settings.headerName.split(',').map(h => h.trim());
-            const backlinks = this.app.metadataCache.getBacklinksForFile(file);
-            if (backlinks) {
-                for (const linkedFilePath of backlinks.keys()) {
-                    if (this.isExcluded(linkedFilePath)) continue;
-                    const linkedFile = this.app.vault.getAbstractFileByPath(linkedFilePath);
-                    const headingCache = this.app.metadataCache.getCache(linkedFilePath)?.headings || [];
-                    const resolvedLinks = this.app.metadataCache.getCache(linkedFilePath)?.links || [];
-
-                    for (const link of Object.values(resolvedLinks)) {
-                        const targetBasename = file.basename;
-                        const targetName = file.name;
-                        if (link.link === targetBasename || link.link === targetName) {
-                            const linkPos = link.position.start.line;
-                            for (const headerName of headerNames) {
-                                for (const heading of headingCache) {
-                                    if (heading.level <= 6 && heading.heading === headerName) {
-                                        if (linkPos > heading.position.start.line &&
-                                            (!headingCache[headingCache.indexOf(heading) + 1] ||
-                                             linkPos < headingCache[headingCache.indexOf(heading) + 1].position.start.line)) {
-                                            parentNotes.add(linkedFilePath);
-                                            break;
-                                        }
-                                    }
-                                }
-                                if (parentNotes.has(linkedFilePath)) break;
-                            }
-                        }
-                        if (parentNotes.has(linkedFilePath)) break;
-                    }
-                }
+    // Root MOCs of the paths, in path order
+    getRootNotes(groups) {
+        const roots = new Set();
+        groups.forEach(group => group.paths.forEach(path => roots.add(path[0])));
+        return Array.from(roots);
+    }
+
+    // The sibling after (offset 1) or before (offset -1) the note under each of its parents, wrapping around
+    async getAdjacentSiblings(notePath, groups, offset) {
+        const siblings = new Set();
+        for (const { profile } of groups) {
+            for (const parentNote of await this.getParentNotes(notePath, profile)) {
+                const children = await this.getChildNotes(parentNote, profile);
+                const index = children.indexOf(notePath);
+                if (index === -1 || children.length < 2) continue;
+                siblings.add(children[(index + offset + children.length) % children.length]);
             }
         }
+        return this.sortByName(Array.from(siblings));
+    }
 
-        const parentNotesArray = Array.from(parentNotes);
-        if (this.settings.enableCaching) {
-            this.parentNotesCache.set(notePath, parentNotesArray);
+    // (Re)create the hierarchy profiles from the settings. The default profile uses the top-level settings,
+    // named profiles inherit them and override the keys listed in PROFILE_SETTING_KEYS.
+    loadProfiles() {
+        this.defaultProfile = new HierarchyProfile(this, DEFAULT_PROFILE_ID, "Default", this.settings);
+        this.profiles = [
+            this.defaultProfile,
+            ...this.settings.profiles.map(profileData => new HierarchyProfile(
+                this, profileData.id, profileData.name, Object.assign(Object.create(this.settings), profileData)
+            ))
+        ];
+        if (this.layoutReady) {
+            this.loadInlineFields();
+            this.loadCanvases();
         }
-        return parentNotesArray;
     }
 
-    async displayHeaderPaths(leaf, paths) {
-        if (!this.settings.displayPathsInHeader) {
-            this.removeHeaderPathElement(leaf);
-            return;
+    // Read the inline fields of every note once some profile uses them. Later edits arrive with the 'changed' event.
+    async loadInlineFields() {
+        if (this.inlineFieldsLoaded || !this.profiles.some(profile => profile.settings.enableInlineFields)) return;
+        this.inlineFieldsLoaded = true;
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            this.setInlineFields(file.path, await this.app.vault.cachedRead(file));
         }
+        this.invalidateAll();
+    }
 
-        const currentNotePath = leaf.view.file?.path;
-        if (!currentNotePath) {
-            this.removeHeaderPathElement(leaf);
-            return;
+    // Read every canvas once some profile uses them. Later edits arrive with the vault 'modify' event.
+    async loadCanvases() {
+        if (this.canvasesLoaded || !this.profiles.some(profile => profile.settings.enableCanvas)) return;
+        this.canvasesLoaded = true;
+        for (const file of this.app.vault.getFiles()) {
+            if (file.extension === 'canvas') await this.readCanvas(file);
         }
+        this.invalidateAll();
+    }
 
-        if (this.isExcluded(currentNotePath)) {
-            this.removeHeaderPathElement(leaf);
-            return;
+    async readCanvas(file) {
+        try {
+            const data = JSON.parse(await this.app.vault.cachedRead(file) || '{}');
+            this.canvases.set(file.path, { nodes: data.nodes || [], edges: data.edges || [] });
+        } catch (error) {
+            console.error("readCanvas: could not parse canvas", file.path, error);
+            this.canvases.delete(file.path);
         }
+    }
 
-        const leafId = leaf.id;
-        let headerContainer = this.headerPathElements.get(leafId);
-        if (!headerContainer) {
-            headerContainer = createDiv({ cls: 'paths-to-mocs-header-container' });
-            this.headerPathElements.set(leafId, headerContainer);
-
-            const titleEl = leaf.containerEl.querySelector('.inline-title') || leaf.containerEl.querySelector('.view-header');
-            if (titleEl && titleEl.parentNode) {
-                titleEl.parentNode.insertBefore(headerContainer, titleEl);
-            } else {
-                console.error("displayHeaderPaths: Не удалось найти элемент заголовка для leaf ID:", leafId);
-                this.headerPathElements.delete(leafId); // Clean up if insertion fails
-                return;
-            }
+    setInlineFields(notePath, content) {
+        const fields = parseInlineFields(content);
+        if (fields.length > 0) {
+            this.inlineFields.set(notePath, fields);
+        } else {
+            this.inlineFields.delete(notePath);
         }
+    }
 
-        headerContainer.empty();
+    // Named profiles whose folder or tag rules match the note, or the default profile when none does
+    getProfilesForNote(notePath) {
+        const matchingProfiles = this.profiles.filter(profile => profile !== this.defaultProfile &&
+            this.matchesNoteRules(notePath, profile.settings.matchFolders, profile.settings.matchTags, ""));
+        return matchingProfiles.length > 0 ? matchingProfiles : [this.defaultProfile];
+    }
 
-        if (paths.length === 0) {
-            headerContainer.setText("No paths to MOCs found.");
-            return;
-        }
+    isExcluded(filePath, profile = this.defaultProfile) {
+        const settings = profile.settings;
+        return this.matchesNoteRules(filePath, settings.excludedFolders, settings.excludedTags, settings.excludedProperties);
+    }
 
-        paths.forEach(async (path, pathIndex) => { // Added async here
-            const pathWrapper = headerContainer.createDiv({ cls: 'path-wrapper' });
+    // Notes that may appear in paths but never as their root
+    isExcludedAsRoot(filePath, profile = this.defaultProfile) {
+        const settings = profile.settings;
+        return this.matchesNoteRules(filePath, settings.rootExcludedFolders, settings.rootExcludedTags, settings.rootExcludedProperties);
+    }
 
-            for (const [idx, notePath] of path.entries()) { // Changed forEach to for...of for async
-                const note = this.app.vault.getAbstractFileByPath(notePath)?.basename || notePath;
+    matchesNoteRules(filePath, folders, tags, properties) {
+        const file = this.app.vault.getAbstractFileByPath(filePath);
+        if (!file) return false;
 
-                if (idx > 0) pathWrapper.appendText(this.settings.pathSeparator);
+        // Rules are compiled once per distinct setting values
+        const rulesKey = [folders, tags, properties].join('\u0000');
+        let rules = this.noteRulesCache.get(rulesKey);
+        if (!rules) {
+            rules = compileNoteRules(folders, tags, properties);
+            this.noteRulesCache.set(rulesKey, rules);
+        }
 
-                const link = pathWrapper.createEl("a", {
-                    text: note,
-                    cls: 'paths-to-mocs-header-link',
-                });
-                link.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    this.app.workspace.openLinkText(notePath, '', e.ctrlKey);
-                });
-            }
+        return matchesNoteRules(file, this.app.metadataCache.getFileCache(file), rules);
+    }
 
-            if (pathIndex < paths.length - 1) {
-                headerContainer.createDiv({ cls: 'path-divider' });
+    // Drop every cached path that starts at or passes through the given notes
+    invalidateNotes(notePaths) {
+        const affected = new Set(notePaths);
+        for (const profile of this.profiles) {
+            for (const [startNotePath, paths] of profile.pathCache) {
+                if (affected.has(startNotePath) || paths.some(path => path.some(notePath => affected.has(notePath)))) {
+                    profile.pathCache.delete(startNotePath);
+                }
             }
-        });
+        }
+        this.app.workspace.trigger(HIERARCHY_CHANGED_EVENT, Array.from(affected));
+        this.requestRefresh();
     }
 
-    removeHeaderPathElement(leaf) {
-        const leafId = leaf.id;
-        if (this.headerPathElements.has(leafId)) {
-            const headerContainer = this.headerPathElements.get(leafId);
-            headerContainer.remove();
-            this.headerPathElements.delete(leafId);
+    // Start over: rebuild the hierarchy indexes and forget all cached paths
+    invalidateAll() {
+        for (const profile of this.profiles) {
+            profile.index.invalidate();
+            profile.pathCache.clear();
         }
+        this.app.workspace.trigger(HIERARCHY_CHANGED_EVENT, null);
+        this.requestRefresh();
     }
 
-    // Update headers for all visible leaves that display the given file path
-    async updateVisibleHeadersForPath(filePath, paths) {
+    // Apply an update to the index of every profile and collect the notes it affects
+    updateIndexes(update) {
+        const affected = new Set();
+        for (const profile of this.profiles) {
+            update(profile.index).forEach(notePath => affected.add(notePath));
+        }
+        return affected;
+    }
+
+    // Notes with unresolved links to a newly available file name now get a new parent or child
+    collectNotesLinkingToName(file) {
+        const names = [file.path, file.basename, file.name, file.path.replace(/\.md$/, '')].map(name => name.toLowerCase());
+        const linkingNotes = [];
+        for (const [sourcePath, links] of Object.entries(this.app.metadataCache.unresolvedLinks || {})) {
+            if (Object.keys(links).some(link => names.includes(stripLinkSubpath(link).toLowerCase()))) {
+                linkingNotes.push(sourcePath);
+            }
+        }
+        return linkingNotes;
+    }
+
+    // Re-read the notes that link to the given file's name and collect everything they affect
+    updateNotesLinkingToName(file, affected) {
+        for (const notePath of this.collectNotesLinkingToName(file)) {
+            const linkingFile = this.app.vault.getAbstractFileByPath(notePath);
+            if (linkingFile instanceof TFile) {
+                this.updateIndexes(index => index.updateFile(linkingFile)).forEach(affectedPath => affected.add(affectedPath));
+            }
+        }
+        return affected;
+    }
+
+    handleResolved() {
+        // The first resolve after startup completes the metadata the index may have been built from
+        if (!this.initialResolveDone) {
+            this.initialResolveDone = true;
+            this.invalidateAll();
+            return;
+        }
+        this.requestRefresh();
+    }
+
+    handleFileChanged(file, data) {
+        if (this.inlineFieldsLoaded && typeof data === 'string') this.setInlineFields(file.path, data);
+        this.invalidateNotes(this.updateIndexes(index => index.updateFile(file)));
+    }
+
+    // Canvases have no metadata, so their edits are read from the vault
+    async handleFileModified(file) {
+        if (!this.canvasesLoaded || file.extension !== 'canvas') return;
+        await this.readCanvas(file);
+        this.invalidateNotes(this.updateIndexes(index => index.updateFile(file)));
+    }
+
+    async handleFileCreated(file) {
+        if (file instanceof TFolder) return;
+        if (this.isFolderNote(file.path, file.parent)) {
+            // Every note of the folder gets a new parent
+            this.invalidateAll();
+            return;
+        }
+        const affected = new Set([file.path]);
+        if (this.canvasesLoaded && file.extension === 'canvas') {
+            await this.readCanvas(file);
+            this.updateIndexes(index => index.updateFile(file)).forEach(notePath => affected.add(notePath));
+        }
+        this.invalidateNotes(this.updateNotesLinkingToName(file, affected));
+    }
+
+    handleFileRenamed(file, oldPath) {
+        this.updateCollapsedTreeNodes(notePath => getRenamedPath(notePath, file.path, oldPath) || notePath);
+        // Inline fields are kept by note path, including the paths of notes in a renamed folder
+        for (const [notePath, fields] of Array.from(this.inlineFields)) {
+            if (notePath === oldPath || notePath.startsWith(oldPath + '/')) {
+                this.inlineFields.delete(notePath);
+                this.inlineFields.set(file.path + notePath.slice(oldPath.length), fields);
+            }
+        }
+        for (const [canvasPath, canvas] of Array.from(this.canvases)) {
+            if (canvasPath === oldPath || canvasPath.startsWith(oldPath + '/')) {
+                this.canvases.delete(canvasPath);
+                this.canvases.set(file.path + canvasPath.slice(oldPath.length), canvas);
+            }
+        }
+
+        const oldFolderPath = oldPath.includes('/') ? oldPath.slice(0, oldPath.lastIndexOf('/')) : null;
+        const oldFolder = oldFolderPath ? this.app.vault.getAbstractFileByPath(oldFolderPath) : this.app.vault.getRoot();
+        if (file instanceof TFolder || this.isFolderNote(file.path, file.parent) || this.isFolderNote(oldPath, oldFolder)) {
+            // Folder exclusions and folder note parents depend on the folder path
+            this.invalidateAll();
+            return;
+        }
+        const affected = this.updateIndexes(index => index.removeFile(oldPath));
+        this.updateIndexes(index => index.updateFile(file)).forEach(notePath => affected.add(notePath));
+        this.invalidateNotes(this.updateNotesLinkingToName(file, affected));
+    }
+
+    handleFileDeleted(file) {
+        this.updateCollapsedTreeNodes(notePath => notePath === file.path || notePath.startsWith(file.path + '/') ? null : notePath);
+        if (file instanceof TFolder || this.isFolderNote(file.path, file.parent)) {
+            this.invalidateAll();
+            return;
+        }
+        this.inlineFields.delete(file.path);
+        this.canvases.delete(file.path);
+        this.invalidateNotes(this.updateIndexes(index => index.removeFile(file.path)));
+    }
+
+    // Collapsed tree nodes are saved per note, and each node key is the chain of notes leading to the node.
+    // Apply a rename to both, or drop the entries and keys of deleted notes, for which updatePath returns null.
+    updateCollapsedTreeNodes(updatePath) {
+        const collapsedTreeNodes = this.settings.collapsedTreeNodes;
+        let changed = false;
+        for (const [notePath, nodeKeys] of Object.entries(collapsedTreeNodes)) {
+            const newNotePath = updatePath(notePath);
+            const newNodeKeys = nodeKeys
+                .map(nodeKey => nodeKey.split('\n').map(updatePath))
+                .filter(keyPaths => keyPaths.every(Boolean))
+                .map(keyPaths => keyPaths.join('\n'));
+            if (newNotePath === notePath && newNodeKeys.join('\0') === nodeKeys.join('\0')) continue;
+            changed = true;
+            delete collapsedTreeNodes[notePath];
+            if (newNotePath && newNodeKeys.length > 0) collapsedTreeNodes[newNotePath] = newNodeKeys;
+        }
+        if (changed) this.saveSettings();
+    }
+
+    // Whether a note is the folder note of the given folder in a profile that uses folder notes
+    isFolderNote(notePath, folder) {
+        return !!folder && this.profiles.some(profile => profile.settings.enableFolderNotes &&
+            getFolderNotePaths(folder, profile.settings.folderNoteNames).includes(notePath));
+    }
+
+    // Re-render the header of every open note, the side panel for the active note and the preview in the settings
+    async refreshOpenViews() {
+        const leaves = this.app.workspace.getLeavesOfType('markdown');
+        for (const leaf of leaves) {
+            const filePath = leaf.view.file?.path;
+            if (!filePath) {
+                this.removeHeaderPathElement(leaf);
+                continue;
+            }
+            this.displayHeaderPaths(leaf, await this.calculatePathGroups(filePath));
+        }
+
+        const currentFile = this.app.workspace.getActiveFile();
+        this.updateSidebarPaths(currentFile ? await this.calculatePathGroups(currentFile.path) : []);
+        this.settingTab?.updatePreview();
+    }
+
+    async updateAllPathsAndHeaders(currentNotePath) {
+        const groups = await this.calculatePathGroups(currentNotePath);
+        this.updateSidebarPaths(groups);
+        this.updateVisibleHeadersForPath(currentNotePath, groups);
+    }
+
+    // Canvases, PDFs and other files get paths in the side panel, only notes get them in the header
+    async updatePathsAndHeader(leaf) {
+        if (!leaf?.view?.file) return;
+        const groups = await this.calculatePathGroups(leaf.view.file.path);
+        this.updateSidebarPaths(groups);
+        if (leaf.view.getViewType() === 'markdown') {
+            this.displayHeaderPaths(leaf, groups);
+        }
+    }
+
+    // Paths panels follow the active note unless they are pinned to another one
+    updateSidebarPaths(groups) {
+        this.app.workspace.getLeavesOfType(PathsToMOCsView.VIEW_TYPE).forEach(leaf => {
+            const view = leaf.view;
+            if (view instanceof PathsToMOCsView) {
+                view.refresh(groups);
+            }
+        });
+        this.app.workspace.getLeavesOfType(HierarchyGraphView.VIEW_TYPE).forEach(leaf => {
+            if (leaf.view instanceof HierarchyGraphView) {
+                leaf.view.renderGraph(groups);
+            }
+        });
+    }
+
+    // Paths of a note in every profile that applies to it and does not exclude it, as [{ profile, paths }].
+    // An empty list means the note is excluded.
+    async calculatePathGroups(notePath) {
+        const groups = [];
+        for (const profile of this.getProfilesForNote(notePath)) {
+            if (this.isExcluded(notePath, profile)) continue;
+            groups.push({ profile, paths: await this.calculatePaths(notePath, profile) });
+        }
+        return groups;
+    }
+
+    async calculatePaths(startNotePath, profile = this.defaultProfile) {
+        if (this.isExcluded(startNotePath, profile)) {
+            return [];
+        }
+
+        if (this.settings.enableCaching && profile.pathCache.has(startNotePath)) {
+            return profile.pathCache.get(startNotePath);
+        }
+
+        const paths = [];
+        const queue = [[startNotePath, [startNotePath]]]; // [currentNotePath, currentPath]
+
+        for (let queueIndex = 0; queueIndex < queue.length; queueIndex++) {
+            const [currentNotePath, currentPath] = queue[queueIndex];
+
+            if (currentPath.length > profile.settings.maxDepth) {
+                continue; // Stop exploring this path if max depth is reached
+            }
+
+            const parentNotes = await this.getParentNotes(currentNotePath, profile);
+            for (const parentNote of parentNotes) {
+                if (!currentPath.includes(parentNote)) {
+                    queue.push([parentNote, [parentNote, ...currentPath]]);
+                }
+            }
+            if (parentNotes.length === 0 && currentPath.length > 1 && !this.isExcludedAsRoot(currentNotePath, profile)) {
+                paths.push(currentPath);
+            }
+        }
+
+        const filteredPaths = this.filterSubPaths(paths.map(p => p.reverse()));
+        const reversedFilteredPaths = this.rankPaths(filteredPaths.map(p => p.reverse()), profile);
+
+        if (this.settings.enableCaching) {
+            profile.pathCache.set(startNotePath, reversedFilteredPaths);
+        }
+
+        return reversedFilteredPaths;
+    }
+
+    // Order paths by the configured ranking. Paths that follow the pinned parents of their notes always come first.
+    rankPaths(paths, profile = this.defaultProfile) {
+        const pinViolations = new Map(paths.map(path => [path, this.countPinnedParentViolations(path, profile)]));
+        const compare = this.getPathComparator(profile);
+        const rankedPaths = [...paths].sort((a, b) => pinViolations.get(a) - pinViolations.get(b) || compare(a, b));
+
+        if (this.settings.onePathPerRoot) {
+            const seenRoots = new Set();
+            return rankedPaths.filter(path => {
+                if (seenRoots.has(path[0])) return false;
+                seenRoots.add(path[0]);
+                return true;
+            });
+        }
+        return rankedPaths;
+    }
+
+    getPathComparator(profile) {
+        switch (this.settings.pathSortOrder) {
+            case "shortest":
+                return (a, b) => a.length - b.length;
+            case "longest":
+                return (a, b) => b.length - a.length;
+            case "rootTag": {
+                const preferredTag = this.settings.preferredRootTag.trim().toLowerCase();
+                const hasPreferredTag = (notePath) => {
+                    const file = this.app.vault.getAbstractFileByPath(notePath);
+                    return getNoteTags(this.app.metadataCache.getFileCache(file)).has(preferredTag) ? 1 : 0;
+                };
+                return (a, b) => hasPreferredTag(b[0]) - hasPreferredTag(a[0]);
+            }
+            case "relationPriority": {
+                // Compare hop by hop, starting from the note itself
+                const ranks = (path) => path.slice(1).map((notePath, idx) => this.getRelationRank(path[idx], notePath, profile)).reverse();
+                return (a, b) => {
+                    const ranksA = ranks(a);
+                    const ranksB = ranks(b);
+                    for (let idx = 0; idx < Math.min(ranksA.length, ranksB.length); idx++) {
+                        if (ranksA[idx] !== ranksB[idx]) return ranksA[idx] - ranksB[idx];
+                    }
+                    return ranksA.length - ranksB.length;
+                };
+            }
+            default:
+                return () => 0;
+        }
+    }
+
+    // Position of the most preferred relation between two notes in the relation priority list
+    getRelationRank(parentPath, childPath, profile = this.defaultProfile) {
+        const priority = this.settings.relationPriority.split(',').map(source => source.trim().toLowerCase()).filter(Boolean);
+        const ranks = profile.index.getRelations(parentPath, childPath)
+            .map(relation => priority.indexOf(relation.source))
+            .map(rank => rank === -1 ? priority.length : rank);
+        return ranks.length > 0 ? Math.min(...ranks) : priority.length;
+    }
+
+    // Parent pinned in the frontmatter of a note, if any
+    getPinnedParent(notePath, profile = this.defaultProfile) {
+        const property = this.settings.pinnedParentProperty.trim();
+        if (!property) return null;
+        const file = this.app.vault.getAbstractFileByPath(notePath);
+        const metadata = this.app.metadataCache.getFileCache(file);
+        return profile.index.getPropertyLinks(metadata, property, notePath)[0]?.path || null;
+    }
+
+    // Number of notes in a path whose pinned parent is not the note before them
+    countPinnedParentViolations(path, profile = this.defaultProfile) {
+        let violations = 0;
+        for (let idx = 1; idx < path.length; idx++) {
+            const pinnedParent = this.getPinnedParent(path[idx], profile);
+            if (pinnedParent && pinnedParent !== path[idx - 1]) violations++;
+        }
+        return violations;
+    }
+
+     filterSubPaths(paths) {
+        return paths.filter((path, index, self) => {
+            return !self.some((otherPath, otherIndex) => {
+                if (index === otherIndex) return false;
+                if (otherPath.length < path.length) return false; // Only consider longer paths
+                return otherPath.slice(-path.length).every((note, idx) => note === path[idx]);
+            });
+        });
+    }
+
+    async getParentNotes(notePath, profile = this.defaultProfile) {
+        return profile.index.getParents(notePath).filter(parentNote => !this.isExcluded(parentNote, profile));
+    }
+
+    async getChildNotes(notePath, profile = this.defaultProfile) {
+        return this.sortByName(profile.index.getChildren(notePath)
+            .filter(childNote => !this.isExcluded(childNote, profile)));
+    }
+
+    // Notes that share at least one parent with the given note
+    async getSiblingNotes(notePath, profile = this.defaultProfile) {
+        const siblings = new Set();
+        for (const parentNote of await this.getParentNotes(notePath, profile)) {
+            for (const childNote of await this.getChildNotes(parentNote, profile)) {
+                if (childNote !== notePath) siblings.add(childNote);
+            }
+        }
+        return this.sortByName(Array.from(siblings));
+    }
+
+    // Notes found in any profile of the path groups, e.g. the children of a note
+    async collectNotesOfGroups(groups, getNotes) {
+        const notes = new Set();
+        for (const group of groups) {
+            (await getNotes(group.profile)).forEach(notePath => notes.add(notePath));
+        }
+        return this.sortByName(Array.from(notes));
+    }
+
+    // Label of a note from the label template, falling back to its base name. Canvases, PDFs and other
+    // attachments have no frontmatter and are shown with their extension.
+    getNoteName(notePath) {
+        const file = this.app.vault.getAbstractFileByPath(notePath);
+        if (!file) return notePath;
+        if (file.extension !== 'md') return file.name;
+        const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter;
+        return formatNoteLabel(this.settings.labelTemplate, file, frontmatter) || file.basename;
+    }
+
+    // Icon name or emoji of a note from its icon property, if any
+    getNoteIcon(notePath) {
+        const property = this.settings.labelIconProperty.trim();
+        const file = this.app.vault.getAbstractFileByPath(notePath);
+        if (!property || !(file instanceof TFile)) return null;
+        const icon = this.app.metadataCache.getFileCache(file)?.frontmatter?.[property];
+        return typeof icon === 'string' && icon.trim() ? icon.trim() : null;
+    }
+
+    sortByName(notePaths) {
+        return notePaths.sort((a, b) => this.getNoteName(a).localeCompare(this.getNoteName(b)));
+    }
+
+    // Link to a note shared by the header and the side panel. It behaves like a core link: page preview on hover,
+    // modifier keys and middle-click to open in a new tab or split, dragging into a note to insert a link,
+    // and the file context menu.
+    createNoteLink(containerEl, notePath) {
+        const link = containerEl.createEl("a", {
+            cls: 'paths-to-mocs-header-link',
+            attr: { 'data-href': notePath, draggable: 'true' },
+        });
+
+        // Icon names such as "star" or "lucide-star" become icons, anything else (an emoji) is shown as text
+        const icon = this.getNoteIcon(notePath);
+        if (icon) {
+            const iconEl = link.createSpan({ cls: 'paths-to-mocs-note-icon' });
+            if (/^[a-z0-9-]+$/.test(icon)) {
+                setIcon(iconEl, icon);
+            } else {
+                iconEl.setText(icon);
+            }
+        }
+
+        const name = this.getNoteName(notePath);
+        const maxLength = this.settings.labelMaxLength;
+        if (maxLength > 0 && name.length > maxLength) {
+            link.appendText(name.slice(0, Math.max(maxLength - 1, 1)) + '…');
+            link.setAttr('title', name);
+        } else {
+            link.appendText(name);
+        }
+        this.addNoteLinkEvents(link, notePath, containerEl);
+        return link;
+    }
+
+    // Mouse and drag events of an element that links to a note, such as a path link or a graph node
+    addNoteLinkEvents(link, notePath, hoverParent) {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.app.workspace.openLinkText(notePath, '', Keymap.isModEvent(e));
+        });
+        link.addEventListener('auxclick', (e) => {
+            if (e.button !== 1) return;
+            e.preventDefault();
+            this.app.workspace.openLinkText(notePath, '', 'tab');
+        });
+        link.addEventListener('mouseover', (e) => {
+            this.app.workspace.trigger('hover-link', {
+                event: e,
+                source: HOVER_LINK_SOURCE,
+                hoverParent,
+                targetEl: link,
+                linktext: notePath,
+                sourcePath: this.app.workspace.getActiveFile()?.path || '',
+            });
+        });
+        link.addEventListener('dragstart', (e) => {
+            const file = this.app.vault.getAbstractFileByPath(notePath);
+            if (!(file instanceof TFile)) return;
+            this.app.dragManager.onDragStart(e, this.app.dragManager.dragFile(e, file));
+        });
+        link.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.showNoteMenu(e, notePath);
+        });
+    }
+
+    // Context menu of a note link, with the items other plugins add to the file menu
+    showNoteMenu(event, notePath) {
+        const file = this.app.vault.getAbstractFileByPath(notePath);
+        if (!(file instanceof TFile)) return;
+        const menu = new Menu();
+        menu.addItem(item => item
+            .setTitle("Open in new tab")
+            .setIcon("file-plus")
+            .onClick(() => this.app.workspace.openLinkText(notePath, '', 'tab')));
+        menu.addItem(item => item
+            .setTitle("Open to the right")
+            .setIcon("separator-vertical")
+            .onClick(() => this.app.workspace.openLinkText(notePath, '', 'split')));
+        menu.addItem(item => item
+            .setTitle("Reveal in file explorer")
+            .setIcon("folder-open")
+            .onClick(() => this.app.internalPlugins?.getEnabledPluginById('file-explorer')?.revealInFolder(file)));
+        menu.addItem(item => item
+            .setTitle("Copy link")
+            .setIcon("link")
+            .onClick(() => {
+                const sourcePath = this.app.workspace.getActiveFile()?.path || '';
+                navigator.clipboard.writeText(this.app.fileManager.generateMarkdownLink(file, sourcePath));
+            }));
+        menu.addSeparator();
+        this.app.workspace.trigger('file-menu', menu, file, HOVER_LINK_SOURCE);
+        menu.showAtMouseEvent(event);
+    }
+
+    // Human-readable origin of a relation, e.g. '"up" property of Note'
+    describeRelation(relation, parentPath, childPath) {
+        switch (relation.source) {
+            case 'up': return `"${relation.key}" property of ${this.getNoteName(childPath)}`;
+            case 'down': return `"${relation.key}" property of ${this.getNoteName(parentPath)}`;
+            case 'folder': return `Folder note of "${relation.key}"`;
+            case 'inline': return `"${relation.key}::" inline field linking ${this.getNoteName(parentPath)} and ${this.getNoteName(childPath)}`;
+            case 'tag': return `#${relation.key} tag of ${this.getNoteName(parentPath)}`;
+            case 'header': return `"${relation.key}" header of ${this.getNoteName(parentPath)}`;
+            case 'canvas': return parentPath === relation.key
+                ? `Card on ${this.getNoteName(parentPath)}`
+                : `Arrow on ${this.getNoteName(relation.key)}`;
+            default: return relation.source;
+        }
+    }
+
+    // Separator between a parent and a child in a path, styled by the source of their relation
+    createRelationSeparator(containerEl, parentPath, childPath, separatorText, profile = this.defaultProfile) {
+        const relations = profile.index.getRelations(parentPath, childPath);
+        const separatorEl = containerEl.createSpan({ cls: 'paths-to-mocs-separator' });
+        if (relations.length === 0) {
+            separatorEl.appendText(separatorText);
+            return separatorEl;
+        }
+
+        relations.forEach(relation => separatorEl.addClass(`paths-to-mocs-relation-${relation.source}`));
+        separatorEl.setAttr('title', relations.map(relation => this.describeRelation(relation, parentPath, childPath)).join("\n"));
+
+        const style = this.settings.relationStyles[relations[0].source] || "plain";
+        separatorEl.addClass(`paths-to-mocs-relation-style-${style}`);
+        if (style === "icon") {
+            setIcon(separatorEl.createSpan({ cls: 'paths-to-mocs-relation-icon' }), RELATION_SOURCES[relations[0].source].icon);
+        }
+        separatorEl.appendText(separatorText);
+        return separatorEl;
+    }
+
+    // Render a path as links joined by separators. A compact path keeps only the root,
+    // the immediate parent and the note itself, with an ellipsis that expands the rest.
+    renderPathLine(pathWrapper, path, compact = false, profile = this.defaultProfile, separator = profile.settings.pathSeparator) {
+        pathWrapper.empty();
+        const hiddenNotes = compact ? path.slice(1, -2) : [];
+
+        if (hiddenNotes.length === 0) {
+            for (const [idx, notePath] of path.entries()) {
+                if (idx > 0) this.createRelationSeparator(pathWrapper, path[idx - 1], notePath, separator, profile);
+                this.createNoteLink(pathWrapper, notePath);
+            }
+            return;
+        }
+
+        this.createNoteLink(pathWrapper, path[0]);
+        pathWrapper.createSpan({ text: separator, cls: 'paths-to-mocs-separator' });
+        const ellipsisEl = pathWrapper.createEl("a", {
+            text: "…",
+            cls: 'paths-to-mocs-ellipsis',
+            attr: { title: hiddenNotes.map(notePath => this.getNoteName(notePath)).join(separator) }
+        });
+        ellipsisEl.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.renderPathLine(pathWrapper, path, false, profile, separator);
+        });
+        for (let idx = path.length - 2; idx < path.length; idx++) {
+            this.createRelationSeparator(pathWrapper, path[idx - 1], path[idx], separator, profile);
+            this.createNoteLink(pathWrapper, path[idx]);
+        }
+    }
+
+    // Groups are labelled with their profile name as soon as a named profile applies
+    shouldLabelGroups(groups) {
+        return groups.some(group => group.profile !== this.defaultProfile);
+    }
+
+    isCompactHeader(leaf) {
+        switch (this.settings.compactHeaderPaths) {
+            case "always": return true;
+            case "auto": {
+                const width = leaf.containerEl.clientWidth;
+                return width > 0 && width < COMPACT_HEADER_WIDTH;
+            }
+            default: return false;
+        }
+    }
+
+    // Re-render the header when the pane crosses the width at which paths become compact
+    observeHeaderWidth(leaf, headerContainer) {
+        if (typeof ResizeObserver === 'undefined') return;
+        const observer = new ResizeObserver(() => {
+            if (this.settings.compactHeaderPaths !== "auto") return;
+            if (this.isCompactHeader(leaf) === headerContainer.hasClass('is-compact')) return;
+            const filePath = leaf.view.file?.path;
+            if (filePath) {
+                this.calculatePathGroups(filePath).then(groups => this.displayHeaderPaths(leaf, groups));
+            }
+        });
+        observer.observe(leaf.containerEl);
+        this.headerResizeObservers.set(leaf.id, observer);
+    }
+
+    // Render notes as a single row of links, e.g. the children of a note
+    renderNoteRow(containerEl, label, notePaths) {
+        const rowEl = containerEl.createDiv({ cls: 'paths-to-mocs-note-row' });
+        rowEl.createSpan({ text: label, cls: 'paths-to-mocs-note-row-label' });
+        notePaths.forEach((notePath, idx) => {
+            if (idx > 0) rowEl.appendText(", ");
+            this.createNoteLink(rowEl, notePath);
+        });
+        return rowEl;
+    }
+
+    async displayHeaderPaths(leaf, groups, showAllPaths = false) {
+        if (!this.settings.displayPathsInHeader) {
+            this.removeHeaderPathElement(leaf);
+            return;
+        }
+
+        const currentNotePath = leaf.view.file?.path;
+        if (!currentNotePath) {
+            this.removeHeaderPathElement(leaf);
+            return;
+        }
+
+        // The note is excluded by every profile that applies to it
+        if (groups.length === 0) {
+            this.removeHeaderPathElement(leaf);
+            return;
+        }
+
+        const leafId = leaf.id;
+        let headerContainer = this.headerPathElements.get(leafId);
+        if (!headerContainer) {
+            headerContainer = createDiv({ cls: 'paths-to-mocs-header-container' });
+            this.headerPathElements.set(leafId, headerContainer);
+
+            const titleEl = leaf.containerEl.querySelector('.inline-title') || leaf.containerEl.querySelector('.view-header');
+            if (titleEl && titleEl.parentNode) {
+                titleEl.parentNode.insertBefore(headerContainer, titleEl);
+                this.observeHeaderWidth(leaf, headerContainer);
+            } else {
+                console.error("displayHeaderPaths: Не удалось найти элемент заголовка для leaf ID:", leafId);
+                this.headerPathElements.delete(leafId); // Clean up if insertion fails
+                return;
+            }
+        }
+
+        const children = this.settings.displayChildrenInHeader
+            ? await this.collectNotesOfGroups(groups, profile => this.getChildNotes(currentNotePath, profile))
+            : [];
+
+        headerContainer.empty();
+
+        const compact = this.isCompactHeader(leaf);
+        headerContainer.toggleClass('is-compact', compact);
+
+        const labelGroups = this.shouldLabelGroups(groups);
+        const maxVisiblePaths = this.settings.primaryPathOnly ? 1 : this.settings.maxVisiblePaths;
+
+        groups.forEach(({ profile, paths }, groupIndex) => {
+            if (groupIndex > 0) headerContainer.createDiv({ cls: 'path-divider' });
+            if (labelGroups) headerContainer.createDiv({ text: profile.name, cls: 'paths-to-mocs-group-label' });
+
+            if (paths.length === 0) {
+                headerContainer.createDiv({ text: "No paths to MOCs found." });
+                return;
+            }
+
+            const visiblePaths = showAllPaths || maxVisiblePaths <= 0 ? paths : paths.slice(0, maxVisiblePaths);
+
+            visiblePaths.forEach((path, pathIndex) => {
+                this.renderPathLine(headerContainer.createDiv({ cls: 'path-wrapper' }), path, compact, profile);
+
+                if (pathIndex < visiblePaths.length - 1) {
+                    headerContainer.createDiv({ cls: 'path-divider' });
+                }
+            });
+
+            if (visiblePaths.length < paths.length) {
+                const moreEl = headerContainer.createEl("a", {
+                    text: `+${paths.length - visiblePaths.length} more`,
+                    cls: 'paths-to-mocs-more'
+                });
+                moreEl.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.displayHeaderPaths(leaf, groups, true);
+                });
+            }
+        });
+
+        if (children.length > 0) {
+            headerContainer.createDiv({ cls: 'path-divider' });
+            this.renderNoteRow(headerContainer, "Children: ", children);
+        }
+    }
+
+    removeHeaderPathElement(leaf) {
+        const leafId = leaf.id;
+        if (this.headerPathElements.has(leafId)) {
+            const headerContainer = this.headerPathElements.get(leafId);
+            headerContainer.remove();
+            this.headerPathElements.delete(leafId);
+        }
+        this.headerResizeObservers.get(leafId)?.disconnect();
+        this.headerResizeObservers.delete(leafId);
+    }
+
+    // Update headers for all visible leaves that display the given file path
+    async updateVisibleHeadersForPath(filePath, groups) {
         const leaves = this.app.workspace.getLeavesOfType('markdown');
         for (const leaf of leaves) {
             if (leaf.view.file && leaf.view.file.path === filePath) {
-                this.displayHeaderPaths(leaf, paths);
+                this.displayHeaderPaths(leaf, groups);
+            }
+        }
+    }
+
+    // Update headers for all visible leaves
+    async updateVisibleHeaders() {
+        const leaves = this.app.workspace.getLeavesOfType('markdown');
+        for (const leaf of leaves) {
+            if (leaf.view.file) {
+                await this.updatePathsAndHeader(leaf);
+            } else {
+                this.removeHeaderPathElement(leaf);
+            }
+        }
+    }
+}
+
+// Panes narrower than this (in pixels) show compact header paths in "auto" mode
+const COMPACT_HEADER_WIDTH = 500;
+
+// Source id of the page previews of note links, listed in the Page preview settings
+const HOVER_LINK_SOURCE = "paths-to-mocs";
+
+// Rows listed in the preview of the "Write breadcrumbs" command
+const PREVIEW_LIMIT = 200;
+
+// Label of a note from a template such as "{{title|alias[0]|basename}}". Each placeholder takes the first of its
+// alternatives that has a value: "basename", "name" or "path" of the file, "alias" for the aliases, or any other
+// frontmatter property. "[n]" picks an item of a list. Text outside the placeholders is kept as is.
+function formatNoteLabel(template, file, frontmatter) {
+    return (template || '').replace(/\{\{([^}]*)\}\}/g, (placeholder, alternatives) => {
+        for (const alternative of alternatives.split('|')) {
+            const value = getLabelValue(alternative.trim(), file, frontmatter);
+            if (value) return value;
+        }
+        return '';
+    }).trim();
+}
+
+function getLabelValue(key, file, frontmatter) {
+    const [, name, index] = key.match(/^(.*?)(?:\[(\d+)\])?$/);
+    if (name === 'basename' || name === 'name' || name === 'path') return file[name];
+
+    let value = name === 'alias' || name === 'aliases'
+        ? frontmatter?.aliases ?? frontmatter?.alias
+        : frontmatter?.[name];
+    if (Array.isArray(value)) {
+        value = value[index === undefined ? 0 : Number(index)];
+    } else if (index !== undefined && index !== '0') {
+        value = undefined;
+    }
+    return value === null || value === undefined || typeof value === 'object' ? '' : String(value).trim();
+}
+
+// Size of the nodes of the hierarchy graph and the space they take, in pixels
+const GRAPH_NODE_WIDTH = 130;
+const GRAPH_NODE_HEIGHT = 26;
+const GRAPH_COLUMN_WIDTH = 150;
+const GRAPH_ROW_HEIGHT = 70;
+const GRAPH_LABEL_LENGTH = 18; // Longer note names are cut off, the full name shows on hover
+
+// Fill colors of graph nodes with a MOC tag, one per tag in the order of the MOC tags setting
+const GRAPH_TAG_COLORS = ["var(--color-blue)", "var(--color-green)", "var(--color-orange)", "var(--color-purple)",
+    "var(--color-red)", "var(--color-cyan)", "var(--color-pink)", "var(--color-yellow)"];
+
+// Split a list of rules at commas and line breaks. A regular expression (/.../flags) may contain commas, so
+// "Archive, /^J\d{1,3}\//" is two rules. The same list syntax serves folders, tags, properties and header names.
+function splitRuleList(value) {
+    return ((value || '').match(/\s*\/(?:\\.|[^\\/\n])+\/[a-z]*(?=\s*(?:,|\n|$))|[^,\n]+/g) || [])
+        .map(rule => rule.trim())
+        .filter(Boolean);
+}
+
+// Convert a glob pattern to a regular expression: "**" matches across folders, "*" and "?" within a single name
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let idx = 0; idx < glob.length; idx++) {
+        const char = glob[idx];
+        if (char === '*' && glob[idx + 1] === '*') {
+            // "**/" also matches no folder at all
+            if (glob[idx + 2] === '/') {
+                pattern += '(?:.*/)?';
+                idx += 2;
+            } else {
+                pattern += '.*';
+                idx++;
+            }
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`, 'i');
+}
+
+// Compile folder rules into matchers of a file. Plain entries match a folder and its subfolders,
+// entries with * or ? are glob patterns and /.../flags entries are regular expressions, both matched against the file path.
+// All of them ignore case, like the links of Obsidian.
+function compileFolderRules(rules) {
+    const matchers = [];
+    for (const rule of rules) {
+        const regexMatch = rule.match(/^\/(.+)\/([a-z]*)$/);
+        if (regexMatch) {
+            try {
+                const flags = regexMatch[2].includes('i') ? regexMatch[2] : regexMatch[2] + 'i';
+                const regex = new RegExp(regexMatch[1], flags);
+                matchers.push(file => regex.test(file.path));
+            } catch (error) {
+                console.error("Invalid regular expression in exclusion rules:", rule, error);
+            }
+        } else if (/[*?]/.test(rule)) {
+            const regex = globToRegExp(rule);
+            matchers.push(file => regex.test(file.path));
+        } else {
+            const folder = rule.replace(/^\/+|\/+$/g, '').toLowerCase();
+            matchers.push(file => {
+                const parentPath = (file.parent?.path || '').toLowerCase();
+                return parentPath === folder || parentPath.startsWith(folder + '/');
+            });
+        }
+    }
+    return matchers;
+}
+
+// Parse property conditions such as "draft: true" or "draft" (any non-empty value)
+function parsePropertyRules(rules) {
+    return rules.map(rule => {
+        const separatorIndex = rule.indexOf(':');
+        if (separatorIndex === -1) return { key: rule, value: null };
+        return { key: rule.slice(0, separatorIndex).trim(), value: rule.slice(separatorIndex + 1).trim().toLowerCase() };
+    });
+}
+
+function matchesPropertyRule(frontmatter, rule) {
+    const value = frontmatter?.[rule.key];
+    if (value === undefined || value === null) return false;
+    if (rule.value === null) return value !== false && value !== '';
+    const values = Array.isArray(value) ? value : [value];
+    return values.some(item => String(item).toLowerCase() === rule.value);
+}
+
+// Compiled folder, tag and property rules, e.g. the exclusion rules or the notes a profile applies to
+function compileNoteRules(folders, tags, properties) {
+    return {
+        folders: compileFolderRules(splitRuleList(folders)),
+        tags: splitRuleList(tags).map(tag => tag.replace(/^#/, '').toLowerCase()),
+        properties: parsePropertyRules(splitRuleList(properties)),
+    };
+}
+
+// Whether a file matches any folder, tag or property rule. A tag rule also matches its nested tags.
+function matchesNoteRules(file, metadata, rules) {
+    if (rules.folders.some(matches => matches(file))) return true;
+
+    if (rules.tags.length > 0) {
+        const tags = getNoteTags(metadata);
+        for (const tag of tags) {
+            if (rules.tags.some(ruleTag => tag === ruleTag || tag.startsWith(ruleTag + '/'))) {
+                return true;
+            }
+        }
+    }
+
+    return rules.properties.some(rule => matchesPropertyRule(metadata?.frontmatter, rule));
+}
+
+const WIKILINK_PATTERN = /!?\[\[([^\]]*)\]\]/g;
+const MARKDOWN_LINK_PATTERN = /!?\[[^\]]*\]\((?:<([^>]*)>|([^\s)]*))[^)]*\)/g;
+
+function isExternalLink(linkText) {
+    return /^[a-z][a-z0-9+.-]*:\/\//i.test(linkText);
+}
+
+// Note part of a link text: "Note#Heading|Alias" and "Note^block" both become "Note"
+function stripLinkSubpath(linkText) {
+    return linkText.split(/[|#^]/)[0].replace(/\\$/, '').trim();
+}
+
+// Link paths in a frontmatter value. The value can be a wikilink or embed ([[Note#Heading|Alias]], ![[Note]]),
+// a markdown link ([Alias](Folder/Note.md)), a plain note name or path, several links in one string,
+// a list or a nested list (YAML reads an unquoted [[Note]] as one), or a number. Other values hold no links.
+function parseLinkValues(value) {
+    if (Array.isArray(value)) return value.flatMap(parseLinkValues);
+    if (typeof value === 'number') value = String(value);
+    if (typeof value !== 'string') return [];
+
+    const linkTexts = [];
+    for (const match of value.matchAll(WIKILINK_PATTERN)) {
+        linkTexts.push(match[1]);
+    }
+    for (const match of value.matchAll(MARKDOWN_LINK_PATTERN)) {
+        const target = match[1] ?? match[2];
+        if (isExternalLink(target)) continue;
+        try {
+            linkTexts.push(decodeURIComponent(target));
+        } catch (error) {
+            linkTexts.push(target); // Not URL-encoded after all
+        }
+    }
+    if (linkTexts.length === 0 && !value.includes('[') && !isExternalLink(value.trim())) {
+        linkTexts.push(value);
+    }
+
+    return linkTexts.map(stripLinkSubpath).filter(Boolean);
+}
+
+// Dataview-style inline fields of a note body, as [{ key, value }] with lowercased keys. A field takes a whole line
+// ("up:: [[Note]]", also in list items and quotes) or sits in brackets inside a line ("[up:: [[Note]]]" or "(up:: [[Note]])").
+// Frontmatter and fenced code blocks are skipped.
+function parseInlineFields(content) {
+    const fields = [];
+    const addField = (key, value) => {
+        const normalizedKey = key.replace(/[*_]/g, '').trim().toLowerCase();
+        if (normalizedKey) fields.push({ key: normalizedKey, value: value.trim() });
+    };
+    const lines = content.split('\n');
+    let lineIndex = 0;
+    if (lines[0]?.trim() === '---') {
+        const frontmatterEnd = lines.findIndex((line, idx) => idx > 0 && line.trim() === '---');
+        if (frontmatterEnd !== -1) lineIndex = frontmatterEnd + 1;
+    }
+
+    let inCodeBlock = false;
+    for (; lineIndex < lines.length; lineIndex++) {
+        const line = lines[lineIndex];
+        if (/^\s*(```|~~~)/.test(line)) {
+            inCodeBlock = !inCodeBlock;
+            continue;
+        }
+        if (inCodeBlock || !line.includes('::')) continue;
+
+        let hasBracketedField = false;
+        for (const match of line.matchAll(/[[(]([^[\]():]+)::((?:\[\[[^\]]*\]\]|\[[^\]]*\]\([^)]*\)|[^[\]()])*)[\])]/g)) {
+            addField(match[1], match[2]);
+            hasBracketedField = true;
+        }
+        if (hasBracketedField) continue;
+
+        const lineMatch = line.match(/^\s*(?:(?:[-*+]|\d+[.)])\s+(?:\[.\]\s+)?|>\s*)*([^[\]():`]+?)::(.*)$/);
+        if (lineMatch) addField(lineMatch[1], lineMatch[2]);
+    }
+    return fields;
+}
+
+// Candidate paths of the folder note of a folder, from names such as "{folder}, index".
+// Names without {folder} also apply to the vault root.
+function getFolderNotePaths(folder, folderNoteNames) {
+    const isRoot = folder.isRoot?.() || folder.path === '/' || folder.path === '';
+    return splitRuleList(folderNoteNames)
+        .filter(name => !(isRoot && name.includes('{folder}')))
+        .map(name => `${isRoot ? '' : folder.path + '/'}${name.replace(/\{folder\}/g, folder.name)}.md`);
+}
+
+// New path of a note after a file or folder was renamed from oldPath to newPath, or null if the note was not moved
+function getRenamedPath(notePath, newPath, oldPath) {
+    if (notePath === oldPath) return newPath;
+    if (notePath.startsWith(oldPath + '/')) return newPath + notePath.slice(oldPath.length);
+    return null;
+}
+
+// Line ranges of the sections whose heading matches, as [{ start, end }] with the heading line and the line
+// after the section. A section runs until the next heading of the same or a higher level, like in collectEdges.
+// Headings in fenced code blocks are ignored.
+function findHeaderSections(lines, headingRules) {
+    const sections = [];
+    let inCodeBlock = false;
+    let section = null;
+    for (let idx = 0; idx < lines.length; idx++) {
+        if (/^\s*(```|~~~)/.test(lines[idx])) inCodeBlock = !inCodeBlock;
+        const headingMatch = !inCodeBlock && lines[idx].match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (!headingMatch) continue;
+        if (section && headingMatch[1].length <= section.level) {
+            section.end = idx;
+            section = null;
+        }
+        if (!section && headingRules.some(matches => matches(headingMatch[2]))) {
+            section = { start: idx, end: lines.length, level: headingMatch[1].length };
+            sections.push(section);
+        }
+    }
+    return sections;
+}
+
+// Compile header names into matchers of a heading: exact names, prefixes ending with "*" and /.../flags regular expressions.
+// Entries are separated by commas outside of regular expressions.
+function compileHeadingRules(value) {
+    const matchers = [];
+    for (const rule of splitRuleList(value)) {
+        const regexMatch = rule.match(/^\/(.+)\/([a-z]*)$/);
+        if (regexMatch) {
+            try {
+                const regex = new RegExp(regexMatch[1], regexMatch[2]);
+                matchers.push(heading => regex.test(heading));
+            } catch (error) {
+                console.error("Invalid regular expression in header names:", rule, error);
+            }
+        } else if (rule.endsWith('*')) {
+            const prefix = rule.slice(0, -1);
+            matchers.push(heading => heading.startsWith(prefix));
+        } else {
+            matchers.push(heading => heading === rule);
+        }
+    }
+    return matchers;
+}
+
+// Display names and icons of the sources a relation between two notes can come from
+const RELATION_SOURCES = {
+    up: { name: "Parent links in YAML properties", icon: "arrow-up" },
+    down: { name: "Child links in YAML properties", icon: "arrow-down" },
+    inline: { name: "Links in inline fields", icon: "text-cursor-input" },
+    tag: { name: "Links from MOC notes", icon: "tag" },
+    header: { name: "Links under specific headers", icon: "heading" },
+    folder: { name: "Folder notes", icon: "folder" },
+    canvas: { name: "Cards and arrows on canvases", icon: "layout-dashboard" },
+};
+
+// Lowercased tags of a note, from both the frontmatter and the note body
+function getNoteTags(metadata) {
+    const frontmatterTags = metadata?.frontmatter?.tags;
+    const tags = new Set(
+        (Array.isArray(frontmatterTags) ? frontmatterTags : [frontmatterTags])
+            // YAML reads "tags: 2024" as a number; nested lists and objects are not tags
+            .filter(tag => ['string', 'number', 'boolean'].includes(typeof tag))
+            .map(tag => String(tag).toLowerCase().trim())
+    );
+    metadata?.tags?.forEach(tag => tags.add(tag.tag.substring(1).toLowerCase().trim()));
+    return tags;
+}
+
+const DEFAULT_PROFILE_ID = "default";
+
+// Workspace event fired when relations may have changed, with the affected note paths or null for all notes
+const HIERARCHY_CHANGED_EVENT = "paths-to-mocs:hierarchy-changed";
+
+// Settings that each named hierarchy profile defines for itself. Everything else is shared with the default settings.
+const PROFILE_SETTING_KEYS = [
+    "pathSeparator", "maxDepth",
+    "enablePropertyUp", "propertyUp", "enablePropertyDown", "propertyDown",
+    "enableInlineFields", "inlineFieldUp", "inlineFieldDown",
+    "enableFolderNotes", "folderNoteNames", "folderParentOnlyWithoutUp", "enableCanvas",
+    "enableMocTags", "mocTags", "enableHeaderName", "headerName", "headerIncludeEmbeds", "headerNestedLists",
+    "excludedFolders", "excludedTags", "excludedProperties",
+    "rootExcludedFolders", "rootExcludedTags", "rootExcludedProperties",
+];
+
+// Choices of the settings picked from a dropdown, and the smallest values of the whole-number settings.
+// Imported settings are checked against them like the values entered in the settings tab.
+const SETTING_CHOICES = {
+    viewDisplayMode: ["flat", "tree"],
+    compactHeaderPaths: ["never", "auto", "always"],
+    pathSortOrder: ["default", "shortest", "longest", "rootTag", "relationPriority"],
+    breadcrumbContent: ["paths", "primary"],
+    relationWriteTarget: ["property", "header"],
+};
+const SETTING_MINIMUMS = { maxDepth: 1, maxVisiblePaths: 0, labelMaxLength: 0, graphDepth: 1 };
+const RELATION_STYLES = ["plain", "colored", "icon"];
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Whether a value can replace the current value of a setting: of the same type, and for numbers and dropdowns
+// a whole number that is large enough or one of the choices
+function isValidSettingValue(key, value, currentValue) {
+    if (currentValue === undefined || value === null || typeof value !== typeof currentValue ||
+        Array.isArray(value) !== Array.isArray(currentValue)) {
+        return false;
+    }
+    if (key in SETTING_MINIMUMS) return Number.isInteger(value) && value >= SETTING_MINIMUMS[key];
+    if (key in SETTING_CHOICES) return SETTING_CHOICES[key].includes(value);
+    return true;
+}
+
+// Saved data of a new named profile, starting from a copy of the given settings
+function createProfileData(settings, name) {
+    const profileData = { id: Date.now().toString(36), name, matchFolders: "", matchTags: "" };
+    PROFILE_SETTING_KEYS.forEach(key => profileData[key] = settings[key]);
+    return profileData;
+}
+
+// One hierarchy configuration with its own index and path cache
+class HierarchyProfile {
+    constructor(plugin, id, name, settings) {
+        this.id = id;
+        this.name = name;
+        this.settings = settings;
+        this.index = new HierarchyIndex(plugin, this);
+        this.pathCache = new Map(); // startNotePath -> paths
+    }
+}
+
+// Parent/child graph of the whole vault, built once from the metadata cache and then
+// updated note by note. Each edge is stored under the note whose metadata declares it,
+// so re-reading a single note is enough to keep the graph current.
+class HierarchyIndex {
+    constructor(plugin, profile) {
+        this.plugin = plugin;
+        this.profile = profile;
+        this.app = plugin.app;
+        this.edgesBySource = new Map(); // sourcePath -> [{ parent, child, source, key }]
+        this.parents = new Map(); // childPath -> Map(parentPath -> number of edges)
+        this.children = new Map(); // parentPath -> Map(childPath -> number of edges)
+        this.declarers = new Map(); // notePath -> Map(sourcePath -> number of edges), for edges declared by a third note
+        this.dirty = true;
+    }
+
+    // Mark the index for a full rebuild on the next lookup
+    invalidate() {
+        this.dirty = true;
+    }
+
+    ensureBuilt() {
+        if (!this.dirty) return;
+        this.edgesBySource.clear();
+        this.parents.clear();
+        this.children.clear();
+        this.declarers.clear();
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            this.addEdges(file.path, this.readEdges(file));
+        }
+        for (const canvasPath of this.plugin.canvases.keys()) {
+            const canvasFile = this.app.vault.getAbstractFileByPath(canvasPath);
+            if (canvasFile instanceof TFile) this.addEdges(canvasPath, this.readEdges(canvasFile));
+        }
+        this.dirty = false;
+    }
+
+    // Relations declared by a note or canvas. One that cannot be read declares none instead of leaving the
+    // index half-built.
+    readEdges(file) {
+        try {
+            if (file.extension === 'md') return this.collectEdges(file);
+            if (file.extension === 'canvas') return this.collectCanvasEdges(file.path);
+        } catch (error) {
+            console.error("readEdges: Could not read the relations of", file.path, error);
+        }
+        return [];
+    }
+
+    getParents(notePath) {
+        this.ensureBuilt();
+        return Array.from(this.parents.get(notePath)?.keys() || []);
+    }
+
+    getChildren(notePath) {
+        this.ensureBuilt();
+        return Array.from(this.children.get(notePath)?.keys() || []);
+    }
+
+    getNeighbours(notePath) {
+        return [...this.getParents(notePath), ...this.getChildren(notePath)];
+    }
+
+    // Notes at either end of the edges declared by a note, including edges between two other notes
+    getEdgeNotes(sourcePath) {
+        return (this.edgesBySource.get(sourcePath) || []).flatMap(edge => [edge.parent, edge.child]);
+    }
+
+    // Re-read the relations declared by one note. Returns the notes whose parents or children may have changed.
+    updateFile(file) {
+        this.ensureBuilt();
+        const affected = new Set([file.path, ...this.getNeighbours(file.path), ...this.getEdgeNotes(file.path)]);
+        this.removeEdges(file.path);
+        this.addEdges(file.path, this.readEdges(file));
+        [...this.getNeighbours(file.path), ...this.getEdgeNotes(file.path)].forEach(notePath => affected.add(notePath));
+        return affected;
+    }
+
+    // Forget a note that no longer exists. Returns the notes whose parents or children may have changed.
+    removeFile(notePath) {
+        this.ensureBuilt();
+        const neighbours = this.getNeighbours(notePath);
+        const affected = new Set([notePath, ...neighbours]);
+        const declarers = Array.from(this.declarers.get(notePath)?.keys() || []);
+        this.removeEdges(notePath);
+        // Edges to the removed note are declared by its neighbours or by a note listing it in a nested list, so re-read them
+        for (const neighbourPath of new Set([...neighbours, ...declarers])) {
+            const neighbourFile = this.app.vault.getAbstractFileByPath(neighbourPath);
+            if (neighbourFile instanceof TFile) {
+                this.updateFile(neighbourFile).forEach(affectedPath => affected.add(affectedPath));
+            }
+        }
+        return affected;
+    }
+
+    addEdges(sourcePath, edges) {
+        if (edges.length === 0) return;
+        this.edgesBySource.set(sourcePath, edges);
+        for (const edge of edges) {
+            this.adjustCount(this.parents, edge.child, edge.parent, 1);
+            this.adjustCount(this.children, edge.parent, edge.child, 1);
+            if (edge.parent !== sourcePath && edge.child !== sourcePath) {
+                this.adjustCount(this.declarers, edge.parent, sourcePath, 1);
+                this.adjustCount(this.declarers, edge.child, sourcePath, 1);
             }
         }
     }
 
-    // Update headers for all visible leaves
-    async updateVisibleHeaders() {
-        const leaves = this.app.workspace.getLeavesOfType('markdown');
-        for (const leaf of leaves) {
-            if (leaf.view.file) {
-                await this.updatePathsAndHeader(leaf);
-            } else {
-                this.removeHeaderPathElement(leaf);
+    removeEdges(sourcePath) {
+        const edges = this.edgesBySource.get(sourcePath) || [];
+        for (const edge of edges) {
+            this.adjustCount(this.parents, edge.child, edge.parent, -1);
+            this.adjustCount(this.children, edge.parent, edge.child, -1);
+            if (edge.parent !== sourcePath && edge.child !== sourcePath) {
+                this.adjustCount(this.declarers, edge.parent, sourcePath, -1);
+                this.adjustCount(this.declarers, edge.child, sourcePath, -1);
+            }
+        }
+        this.edgesBySource.delete(sourcePath);
+    }
+
+    adjustCount(map, key, relatedPath, delta) {
+        let related = map.get(key);
+        if (!related) {
+            related = new Map();
+            map.set(key, related);
+        }
+        const count = (related.get(relatedPath) || 0) + delta;
+        if (count > 0) {
+            related.set(relatedPath, count);
+        } else {
+            related.delete(relatedPath);
+            if (related.size === 0) map.delete(key);
+        }
+    }
+
+    resolveLink(linkText, sourcePath) {
+        let dest = this.app.metadataCache.getFirstLinkpathDest(linkText, sourcePath);
+        if (!dest && !linkText.endsWith(".md")) {
+            dest = this.app.metadataCache.getFirstLinkpathDest(linkText + ".md", sourcePath);
+        }
+        return dest?.path;
+    }
+
+    // Link paths in the given comma-separated frontmatter properties, as [{ linkText, property }]
+    getPropertyLinkTexts(metadata, propertyNames) {
+        const linkTexts = [];
+        for (const property of propertyNames.split(',').map(p => p.trim())) {
+            if (!property) continue;
+            const propertyLinkTexts = new Set(parseLinkValues(metadata?.frontmatter?.[property]));
+            // Links Obsidian found in the same property, keyed "property" or "property.<index>"
+            for (const link of metadata?.frontmatterLinks || []) {
+                if (link.key === property || link.key.startsWith(property + '.')) {
+                    propertyLinkTexts.add(stripLinkSubpath(link.link));
+                }
+            }
+            propertyLinkTexts.forEach(linkText => {
+                if (linkText) linkTexts.push({ linkText, property });
+            });
+        }
+        return linkTexts;
+    }
+
+    // Resolved notes linked in the given comma-separated frontmatter properties, as [{ path, property }]
+    getPropertyLinks(metadata, propertyNames, sourcePath) {
+        const linkedNotes = [];
+        for (const { linkText, property } of this.getPropertyLinkTexts(metadata, propertyNames)) {
+            const linkedFilePath = this.resolveLink(linkText, sourcePath);
+            if (linkedFilePath) {
+                linkedNotes.push({ path: linkedFilePath, property });
+            }
+        }
+        return linkedNotes;
+    }
+
+    // Links in the given properties that point to missing notes, as [{ linkText, property }]
+    getDanglingPropertyLinks(metadata, propertyNames, sourcePath) {
+        return this.getPropertyLinkTexts(metadata, propertyNames)
+            .filter(({ linkText }) => linkText && !this.resolveLink(linkText, sourcePath));
+    }
+
+    // Relations that make parentPath a parent of childPath, as [{ source, key }]
+    getRelations(parentPath, childPath) {
+        this.ensureBuilt();
+        const relations = [];
+        const declarers = this.declarers.get(childPath)?.keys() || [];
+        for (const sourcePath of new Set([childPath, parentPath, ...declarers])) {
+            for (const edge of this.edgesBySource.get(sourcePath) || []) {
+                if (edge.parent === parentPath && edge.child === childPath &&
+                    !relations.some(relation => relation.source === edge.source && relation.key === edge.key)) {
+                    relations.push({ source: edge.source, key: edge.key });
+                }
+            }
+        }
+        return relations;
+    }
+
+    // Relations declared by a single note, as parent -> child edges.
+    // Each edge keeps its source ("up", "down", "tag" or "header") and the property, tag or header name behind it.
+    collectEdges(file) {
+        const settings = this.profile.settings;
+        const metadata = this.app.metadataCache.getFileCache(file);
+        if (!metadata) return [];
+
+        const edges = [];
+        const addEdge = (parent, child, source, key) => {
+            if (parent && child && parent !== child) {
+                edges.push({ parent, child, source, key });
+            }
+        };
+        const upLinks = this.getPropertyLinks(metadata, settings.propertyUp, file.path);
+
+        // Notes linked in the "Up" property are parents of this note
+        if (settings.enablePropertyUp) {
+            upLinks.forEach(linked => addEdge(linked.path, file.path, 'up', linked.property));
+        }
+
+        // Notes linked in inline fields of the body are parents or children of this note, depending on the field
+        if (settings.enableInlineFields) {
+            const upKeys = settings.inlineFieldUp.split(',').map(key => key.trim().toLowerCase()).filter(Boolean);
+            const downKeys = settings.inlineFieldDown.split(',').map(key => key.trim().toLowerCase()).filter(Boolean);
+            for (const field of this.plugin.inlineFields.get(file.path) || []) {
+                const isUp = upKeys.includes(field.key);
+                const isDown = downKeys.includes(field.key);
+                if (!isUp && !isDown) continue;
+                for (const linkText of parseLinkValues(field.value)) {
+                    const linkedFilePath = this.resolveLink(linkText, file.path);
+                    if (!linkedFilePath) continue;
+                    if (isUp) {
+                        addEdge(linkedFilePath, file.path, 'inline', field.key);
+                        // A MOC's inline parent links are not links to its children
+                        upLinks.push({ path: linkedFilePath, property: field.key });
+                    }
+                    if (isDown) addEdge(file.path, linkedFilePath, 'inline', field.key);
+                }
+            }
+        }
+
+        // Notes linked in the "Down" property are children of this note
+        if (settings.enablePropertyDown) {
+            this.getPropertyLinks(metadata, settings.propertyDown, file.path)
+                .forEach(linked => addEdge(file.path, linked.path, 'down', linked.property));
+        }
+
+        // The folder note of the containing folder is a parent of this note. Folders without a folder note are
+        // skipped, and a folder note itself gets the folder note of an enclosing folder.
+        // Parent links are the edges so far that end at this note: the "Up" property when it is on, and inline fields
+        const hasParentLinks = edges.some(edge => edge.child === file.path);
+        if (settings.enableFolderNotes && !(settings.folderParentOnlyWithoutUp && hasParentLinks)) {
+            let folder = file.parent;
+            if (folder && getFolderNotePaths(folder, settings.folderNoteNames).includes(file.path)) {
+                folder = folder.parent;
+            }
+            for (; folder; folder = folder.parent) {
+                const folderNotePath = getFolderNotePaths(folder, settings.folderNoteNames)
+                    .find(notePath => this.app.vault.getAbstractFileByPath(notePath) instanceof TFile);
+                if (folderNotePath) {
+                    addEdge(folderNotePath, file.path, 'folder', folder.isRoot?.() ? '/' : folder.path);
+                    break;
+                }
+            }
+        }
+
+        // Notes linked from a MOC are its children, unless the link comes from its "Up" property or inline field
+        if (settings.enableMocTags) {
+            const mocTagsArray = settings.mocTags.split(',').map(tag => tag.trim());
+            const tags = getNoteTags(metadata);
+            const mocTag = mocTagsArray.find(tag => tags.has(tag.toLowerCase()));
+            if (mocTag) {
+                // Breadcrumbs written by the plugin and the pinned parent link to ancestors, not children
+                const ancestorProperties = [this.plugin.settings.breadcrumbProperty, this.plugin.settings.pinnedParentProperty]
+                    .map(property => property.trim())
+                    .filter(Boolean);
+                const frontmatterLinks = (metadata.frontmatterLinks || []).filter(link => !ancestorProperties.some(property =>
+                    link.key === property || link.key.startsWith(property + '.')));
+                const links = [...(metadata.links || []), ...(metadata.embeds || []), ...frontmatterLinks];
+                for (const link of links) {
+                    const linkedFilePath = this.resolveLink(stripLinkSubpath(link.link), file.path);
+                    if (linkedFilePath && !upLinks.some(linked => linked.path === linkedFilePath)) {
+                        addEdge(file.path, linkedFilePath, 'tag', mocTag);
+                    }
+                }
+            }
+        }
+
+        // Notes linked in a section under a specific header are children of this note. The section runs
+        // until the next heading of the same or a higher level, so it includes its subsections.
+        if (settings.enableHeaderName) {
+            const headingRules = compileHeadingRules(settings.headerName);
+            const headings = metadata.headings || [];
+            const sections = [];
+            headings.forEach((heading, index) => {
+                if (!headingRules.some(matches => matches(heading.heading))) return;
+                const nextHeading = headings.slice(index + 1).find(nextHeading => nextHeading.level <= heading.level);
+                sections.push({
+                    heading: heading.heading,
+                    start: heading.position.start.line,
+                    end: nextHeading ? nextHeading.position.start.line : Infinity
+                });
+            });
+
+            const links = [...(metadata.links || []), ...(settings.headerIncludeEmbeds ? metadata.embeds || [] : [])]
+                .sort((a, b) => a.position.start.offset - b.position.start.offset);
+            const listItemsByLine = new Map((metadata.listItems || []).map(item => [item.position.start.line, item]));
+            const linkedNoteByLine = new Map(); // First note linked on each line, the parent of nested list items
+
+            for (const link of links) {
+                const linkLine = link.position.start.line;
+                // The innermost matching section wins when sections are nested
+                const section = sections.filter(section => linkLine > section.start && linkLine < section.end).pop();
+                const linkedFilePath = section && this.resolveLink(stripLinkSubpath(link.link), file.path);
+                if (!linkedFilePath) continue;
+                if (!linkedNoteByLine.has(linkLine)) linkedNoteByLine.set(linkLine, linkedFilePath);
+
+                let parentPath = file.path;
+                const parentItemLine = listItemsByLine.get(linkLine)?.parent;
+                if (settings.headerNestedLists && parentItemLine >= 0 && parentItemLine > section.start &&
+                    linkedNoteByLine.has(parentItemLine)) {
+                    parentPath = linkedNoteByLine.get(parentItemLine);
+                }
+                addEdge(parentPath, linkedFilePath, 'header', section.heading);
+            }
+        }
+
+        return edges;
+    }
+
+    // Relations drawn on a canvas. Every file card is a child of the canvas, unless an arrow points to it from
+    // another file card, which makes it a child of that card instead. Lines without a single direction are ignored.
+    collectCanvasEdges(canvasPath) {
+        const canvas = this.plugin.canvases.get(canvasPath);
+        if (!this.profile.settings.enableCanvas || !canvas) return [];
+
+        const cardFiles = new Map(); // Node id -> path of the file shown on the card
+        for (const node of canvas.nodes) {
+            if (node.type === 'file' && this.app.vault.getAbstractFileByPath(node.file) instanceof TFile) {
+                cardFiles.set(node.id, node.file);
+            }
+        }
+
+        const edges = [];
+        const cardsWithParent = new Set();
+        for (const arrow of canvas.edges) {
+            const pointsForward = (arrow.toEnd || 'arrow') === 'arrow';
+            if (pointsForward === (arrow.fromEnd === 'arrow')) continue;
+            const [fromId, toId] = pointsForward ? [arrow.fromNode, arrow.toNode] : [arrow.toNode, arrow.fromNode];
+            const parentPath = cardFiles.get(fromId);
+            const childPath = cardFiles.get(toId);
+            if (parentPath && childPath && parentPath !== childPath) {
+                edges.push({ parent: parentPath, child: childPath, source: 'canvas', key: canvasPath });
+                cardsWithParent.add(toId);
+            }
+        }
+        for (const [nodeId, cardPath] of cardFiles) {
+            if (!cardsWithParent.has(nodeId) && cardPath !== canvasPath) {
+                edges.push({ parent: canvasPath, child: cardPath, source: 'canvas', key: canvasPath });
+            }
+        }
+        return edges;
+    }
+}
+
+// Layers of a parent -> child graph for drawing from the top down. Every note sits one layer below its lowest
+// parent, and the notes of a layer are ordered by the average position of their parents to avoid crossing edges.
+// Notes keep their given order otherwise. An edge that closes a cycle (A -> B -> A) does not move its child down,
+// so every layer holds at least one note.
+function layoutGraphLayers(notePaths, edges) {
+    const layerOf = new Map(notePaths.map(notePath => [notePath, 0]));
+    const backEdges = findBackEdges(notePaths, edges);
+    const forwardEdges = edges.filter(edge => !backEdges.has(edge));
+    for (let round = 0; round < notePaths.length; round++) {
+        let changed = false;
+        for (const { parent, child } of forwardEdges) {
+            if (layerOf.get(child) <= layerOf.get(parent)) {
+                layerOf.set(child, layerOf.get(parent) + 1);
+                changed = true;
+            }
+        }
+        if (!changed) break;
+    }
+
+    const layers = [];
+    notePaths.forEach(notePath => (layers[layerOf.get(notePath)] ||= []).push(notePath));
+    const positionOf = new Map();
+    layers.forEach(layer => {
+        const averageParentPosition = new Map(layer.map((notePath, idx) => {
+            const parentPositions = edges
+                .filter(edge => edge.child === notePath && positionOf.has(edge.parent))
+                .map(edge => positionOf.get(edge.parent));
+            return [notePath, parentPositions.length > 0
+                ? parentPositions.reduce((sum, position) => sum + position, 0) / parentPositions.length
+                : idx];
+        }));
+        layer.sort((a, b) => averageParentPosition.get(a) - averageParentPosition.get(b));
+        layer.forEach((notePath, idx) => positionOf.set(notePath, idx - (layer.length - 1) / 2));
+    });
+    return layers;
+}
+
+// Edges that lead back to a note still being visited in a depth-first walk from the notes without parents.
+// Leaving them out turns the graph into one without cycles.
+function findBackEdges(notePaths, edges) {
+    const outgoing = new Map(notePaths.map(notePath => [notePath, []]));
+    edges.forEach(edge => outgoing.get(edge.parent)?.push(edge));
+    const hasParent = new Set(edges.map(edge => edge.child));
+    const state = new Map(); // notePath -> "visiting" while its descendants are walked, then "done"
+    const backEdges = new Set();
+    const visit = (notePath) => {
+        state.set(notePath, "visiting");
+        for (const edge of outgoing.get(notePath)) {
+            if (state.get(edge.child) === "visiting") {
+                backEdges.add(edge);
+            } else if (!state.has(edge.child) && outgoing.has(edge.child)) {
+                visit(edge.child);
+            }
+        }
+        state.set(notePath, "done");
+    };
+    // Notes without parents first, then notes only reachable through a cycle
+    [...notePaths.filter(notePath => !hasParent.has(notePath)), ...notePaths].forEach(notePath => {
+        if (!state.has(notePath)) visit(notePath);
+    });
+    return backEdges;
+}
+
+function hierarchyToJson(hierarchy) {
+    return JSON.stringify({ generated: new Date().toISOString(), ...hierarchy }, null, 2);
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per relation between a parent and a child
+function hierarchyToCsv(hierarchy) {
+    const rows = [["parent", "child", "source", "key", "profile"]];
+    for (const edge of hierarchy.edges) {
+        for (const relation of edge.relations) {
+            rows.push([edge.parent, edge.child, relation.source, relation.key, edge.profile]);
+        }
+    }
+    return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function xmlEscape(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+// Directed graph with edges from parent to child, readable by yEd, Gephi or networkx
+function hierarchyToGraphML(hierarchy, getNoteName) {
+    const notePaths = new Set(hierarchy.notes.map(note => note.path));
+    hierarchy.edges.forEach(edge => notePaths.add(edge.parent).add(edge.child));
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+        '  <key id="source" for="edge" attr.name="source" attr.type="string"/>',
+        '  <key id="profile" for="edge" attr.name="profile" attr.type="string"/>',
+        '  <graph id="hierarchy" edgedefault="directed">',
+    ];
+    for (const notePath of notePaths) {
+        lines.push(`    <node id="${xmlEscape(notePath)}"><data key="label">${xmlEscape(getNoteName(notePath))}</data></node>`);
+    }
+    for (const edge of hierarchy.edges) {
+        const sources = edge.relations.map(relation => relation.source).join(', ');
+        lines.push(`    <edge source="${xmlEscape(edge.parent)}" target="${xmlEscape(edge.child)}"><data key="source">${xmlEscape(sources)}</data><data key="profile">${xmlEscape(edge.profile)}</data></edge>`);
+    }
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+}
+
+// Hierarchy lookups for other plugins and scripts, available as app.plugins.plugins.paths_to_mocs.api.
+// Paths are arrays of note paths from the root MOC to the note. Every profile that applies to a note is taken
+// into account, and results are fresh arrays that callers may change freely.
+class PathsToMOCsApi {
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.app = plugin.app;
+    }
+
+    // Name of the workspace event fired when the hierarchy changes, see HIERARCHY_CHANGED_EVENT
+    get hierarchyChangedEvent() {
+        return HIERARCHY_CHANGED_EVENT;
+    }
+
+    async getPaths(notePath) {
+        const groups = await this.plugin.calculatePathGroups(notePath);
+        return groups.flatMap(group => group.paths.map(path => [...path]));
+    }
+
+    async getParents(notePath) {
+        const groups = await this.plugin.calculatePathGroups(notePath);
+        return this.plugin.collectNotesOfGroups(groups, profile => this.plugin.getParentNotes(notePath, profile));
+    }
+
+    async getChildren(notePath) {
+        const groups = await this.plugin.calculatePathGroups(notePath);
+        return this.plugin.collectNotesOfGroups(groups, profile => this.plugin.getChildNotes(notePath, profile));
+    }
+
+    // Notes that start at least one path: they have children, no parents and are not excluded as a root
+    async getRoots() {
+        const roots = new Set();
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            for (const profile of this.plugin.getProfilesForNote(file.path)) {
+                if (this.plugin.isExcluded(file.path, profile) || this.plugin.isExcludedAsRoot(file.path, profile)) continue;
+                if ((await this.plugin.getParentNotes(file.path, profile)).length === 0 &&
+                    (await this.plugin.getChildNotes(file.path, profile)).length > 0) {
+                    roots.add(file.path);
+                }
+            }
+        }
+        return this.plugin.sortByName(Array.from(roots));
+    }
+
+    // Whether the note is left out of the hierarchy by every profile that applies to it
+    isExcluded(notePath) {
+        return this.plugin.getProfilesForNote(notePath).every(profile => this.plugin.isExcluded(notePath, profile));
+    }
+}
+
+// Navigation rendered inside a note by a ```paths-to-mocs code block. The block holds "option: value" lines:
+// mode (breadcrumbs, children or tree), note (defaults to the note containing the block),
+// depth (levels of the tree, 3 by default) and separator (defaults to the separator of the profile).
+class PathsCodeBlock extends MarkdownRenderChild {
+    constructor(containerEl, plugin, source, sourcePath) {
+        super(containerEl);
+        this.plugin = plugin;
+        this.source = source;
+        this.sourcePath = sourcePath;
+        this.renderedNotes = new Set();
+    }
+
+    onload() {
+        const requestRender = debounce(() => this.render(), 300, true);
+        this.registerEvent(this.plugin.app.workspace.on(HIERARCHY_CHANGED_EVENT, (notePaths) => {
+            if (!notePaths || notePaths.some(notePath => this.renderedNotes.has(notePath))) requestRender();
+        }));
+        this.render();
+    }
+
+    parseOptions() {
+        const options = { mode: "breadcrumbs", note: "", depth: 3, separator: null };
+        for (const line of this.source.split('\n')) {
+            const separatorIndex = line.indexOf(':');
+            if (separatorIndex === -1) continue;
+            const key = line.slice(0, separatorIndex).trim().toLowerCase();
+            const value = line.slice(separatorIndex + 1);
+            if (key === "mode") options.mode = value.trim().toLowerCase();
+            if (key === "note") options.note = value.trim();
+            if (key === "depth" && parseInt(value) > 0) options.depth = parseInt(value);
+            // Separators keep their spaces, quotes allow leading and trailing ones
+            if (key === "separator") options.separator = value.trim().replace(/^"(.*)"$/, '$1');
+        }
+        return options;
+    }
+
+    async render() {
+        const containerEl = this.containerEl;
+        const options = this.parseOptions();
+        const notePath = options.note
+            ? this.plugin.defaultProfile.index.resolveLink(parseLinkValues(options.note)[0] || options.note, this.sourcePath)
+            : this.sourcePath;
+
+        containerEl.empty();
+        containerEl.addClass('paths-to-mocs-header-container', 'paths-to-mocs-code-block');
+        this.renderedNotes = new Set(notePath ? [notePath] : []);
+
+        if (!notePath) {
+            containerEl.createDiv({ text: `Note not found: ${options.note}`, cls: 'paths-to-mocs-section-empty' });
+            return;
+        }
+        if (!["breadcrumbs", "children", "tree"].includes(options.mode)) {
+            containerEl.createDiv({ text: `Unknown mode: ${options.mode}. Use breadcrumbs, children or tree.`, cls: 'paths-to-mocs-section-empty' });
+            return;
+        }
+
+        const groups = await this.plugin.calculatePathGroups(notePath);
+        if (options.mode === "breadcrumbs") {
+            this.renderBreadcrumbs(containerEl, groups, options);
+        } else if (options.mode === "children") {
+            const children = await this.plugin.collectNotesOfGroups(groups, profile => this.plugin.getChildNotes(notePath, profile));
+            children.forEach(childPath => this.renderedNotes.add(childPath));
+            if (children.length === 0) {
+                containerEl.createDiv({ text: "No children found.", cls: 'paths-to-mocs-section-empty' });
             }
+            for (const childPath of children) {
+                this.plugin.createNoteLink(containerEl.createDiv({ cls: 'path-wrapper' }), childPath);
+            }
+        } else {
+            for (const { profile } of groups) {
+                if (this.plugin.shouldLabelGroups(groups)) containerEl.createDiv({ text: profile.name, cls: 'paths-to-mocs-group-label' });
+                await this.renderSubtree(containerEl, notePath, null, profile, options.depth, [notePath]);
+            }
+        }
+    }
+
+    renderBreadcrumbs(containerEl, groups, options) {
+        const labelGroups = this.plugin.shouldLabelGroups(groups);
+        if (!labelGroups && groups.every(group => group.paths.length === 0)) {
+            containerEl.createDiv({ text: "No paths to MOCs found.", cls: 'paths-to-mocs-section-empty' });
+            return;
+        }
+        for (const { profile, paths } of groups) {
+            if (labelGroups) containerEl.createDiv({ text: profile.name, cls: 'paths-to-mocs-group-label' });
+            for (const path of paths) {
+                path.forEach(pathNote => this.renderedNotes.add(pathNote));
+                this.plugin.renderPathLine(containerEl.createDiv({ cls: 'path-wrapper' }), path, false, profile,
+                    options.separator ?? profile.settings.pathSeparator);
+            }
+        }
+    }
+
+    // The note and its descendants down to the given depth, skipping notes already on the branch
+    async renderSubtree(containerEl, notePath, parentPath, profile, depth, branch) {
+        const nodeEl = containerEl.createDiv({ cls: 'paths-to-mocs-tree-node' });
+        const rowEl = nodeEl.createDiv({ cls: 'paths-to-mocs-tree-row' });
+        if (parentPath) this.plugin.createRelationSeparator(rowEl, parentPath, notePath, "", profile);
+        this.plugin.createNoteLink(rowEl, notePath);
+        this.renderedNotes.add(notePath);
+
+        if (depth <= 0) return;
+        const children = (await this.plugin.getChildNotes(notePath, profile)).filter(childPath => !branch.includes(childPath));
+        if (children.length === 0) return;
+        const childrenEl = nodeEl.createDiv({ cls: 'paths-to-mocs-tree-children' });
+        for (const childPath of children) {
+            await this.renderSubtree(childrenEl, childPath, notePath, profile, depth - 1, [...branch, childPath]);
+        }
+    }
+}
+
+// Dry run of the "Write breadcrumbs" command: lists the frontmatter changes and applies them on confirmation
+class BreadcrumbPreviewModal extends Modal {
+    constructor(plugin, changes) {
+        super(plugin.app);
+        this.plugin = plugin;
+        this.changes = changes;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        const property = this.plugin.settings.breadcrumbProperty;
+        this.setTitle("Write breadcrumbs");
+        contentEl.empty();
+
+        if (this.changes.length === 0) {
+            contentEl.createEl("p", { text: `The "${property}" property of every note is up to date.` });
+            return;
+        }
+
+        contentEl.createEl("p", { text: `The "${property}" property of ${this.changes.length} note${this.changes.length === 1 ? "" : "s"} will change:` });
+        const listEl = contentEl.createDiv({ cls: 'paths-to-mocs-preview-list' });
+        const formatValue = (value) => value === null ? "(none)" : [].concat(value).join("; ");
+        for (const { file, oldValue, newValue } of this.changes.slice(0, PREVIEW_LIMIT)) {
+            const rowEl = listEl.createDiv({ cls: 'path-wrapper' });
+            this.plugin.createNoteLink(rowEl, file.path);
+            rowEl.appendText(`: ${formatValue(oldValue)} → ${formatValue(newValue)}`);
         }
+        if (this.changes.length > PREVIEW_LIMIT) {
+            listEl.createDiv({ text: `…and ${this.changes.length - PREVIEW_LIMIT} more`, cls: 'paths-to-mocs-section-empty' });
+        }
+
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText("Write breadcrumbs")
+                .setCta()
+                .onClick(async () => {
+                    this.close();
+                    await this.plugin.applyBreadcrumbChanges(this.changes);
+                })
+            )
+            .addButton(button => button
+                .setButtonText("Cancel")
+                .onClick(() => this.close())
+            );
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+// Text area for settings exported from another vault
+class SettingsImportModal extends Modal {
+    constructor(plugin, onImport) {
+        super(plugin.app);
+        this.plugin = plugin;
+        this.onImport = onImport;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        this.setTitle("Import settings");
+        contentEl.empty();
+        contentEl.createEl("p", { text: "Paste the contents of an exported paths-to-mocs-settings.json file." });
+        const textAreaEl = contentEl.createEl("textarea", { cls: 'paths-to-mocs-import-text' });
+        const errorEl = contentEl.createDiv({ cls: 'mod-warning' });
+
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText("Import")
+                .setCta()
+                .onClick(async () => {
+                    let skippedKeys;
+                    try {
+                        skippedKeys = await this.plugin.importSettings(textAreaEl.value);
+                    } catch (error) {
+                        errorEl.setText(`Could not import the settings: ${error.message}`);
+                        return;
+                    }
+                    this.close();
+                    this.onImport();
+                    new Notice(skippedKeys.length > 0
+                        ? `Settings imported. Skipped unknown or invalid settings: ${skippedKeys.join(', ')}.`
+                        : "Settings imported.");
+                })
+            )
+            .addButton(button => button
+                .setButtonText("Cancel")
+                .onClick(() => this.close())
+            );
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+// Fuzzy picker over a list of notes, used when a navigation command has several candidates
+class NoteSuggestModal extends FuzzySuggestModal {
+    constructor(plugin, notePaths, onChoose) {
+        super(plugin.app);
+        this.notePaths = notePaths;
+        this.onChoose = onChoose;
+        this.setPlaceholder("Choose a note");
+    }
+
+    getItems() {
+        return this.notePaths;
+    }
+
+    getItemText(notePath) {
+        return notePath.replace(/\.md$/, '');
+    }
+
+    onChooseItem(notePath) {
+        this.onChoose(notePath);
     }
 }
 
@@ -482,14 +2683,237 @@ class PathsToMOCsSettingTab extends PluginSettingTab {
     constructor(app, plugin) {
         super(app, plugin);
         this.plugin = plugin;
+        this.editedProfileId = DEFAULT_PROFILE_ID;
+    }
+
+    // Save the settings and rebuild the profiles, whose indexes depend on the edited values
+    async saveProfileSettings() {
+        await this.plugin.saveSettings();
+        this.plugin.loadProfiles();
+        this.plugin.invalidateAll();
+    }
+
+    // Paths of the active note, or of the note chosen for the preview, as computed with the current settings.
+    // Redrawn whenever the open views are refreshed, which every change of a setting that affects paths does.
+    async updatePreview() {
+        const previewEl = this.previewEl;
+        if (!previewEl?.isConnected) return;
+        const notePath = this.previewNotePath || this.app.workspace.getActiveFile()?.path;
+        const groups = notePath ? await this.plugin.calculatePathGroups(notePath) : [];
+
+        previewEl.empty();
+        if (!notePath) {
+            previewEl.createDiv({ text: "Open a note or choose one to preview its paths.", cls: 'paths-to-mocs-section-empty' });
+            return;
+        }
+        previewEl.createDiv({ text: `Paths of ${this.plugin.getNoteName(notePath)}`, cls: 'paths-to-mocs-section-title' });
+        if (groups.length === 0) {
+            previewEl.createDiv({ text: "The note is excluded.", cls: 'paths-to-mocs-section-empty' });
+            return;
+        }
+        const labelGroups = this.plugin.shouldLabelGroups(groups);
+        for (const { profile, paths } of groups) {
+            if (labelGroups) previewEl.createDiv({ text: profile.name, cls: 'paths-to-mocs-group-label' });
+            if (paths.length === 0) {
+                previewEl.createDiv({ text: "No paths to MOCs found.", cls: 'paths-to-mocs-section-empty' });
+            }
+            for (const path of paths) {
+                this.plugin.renderPathLine(previewEl.createDiv({ cls: 'path-wrapper' }), path, false, profile);
+            }
+        }
+    }
+
+    // Frontmatter properties, lowercased tags and headings used in the vault, collected once per display for the warnings
+    getVaultVocabulary() {
+        if (this.vocabulary) return this.vocabulary;
+        const vocabulary = { properties: new Set(), tags: new Set(), headings: new Set() };
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            const metadata = this.app.metadataCache.getFileCache(file);
+            Object.keys(metadata?.frontmatter || {}).forEach(property => vocabulary.properties.add(property));
+            getNoteTags(metadata).forEach(tag => vocabulary.tags.add(tag));
+            (metadata?.headings || []).forEach(heading => vocabulary.headings.add(heading.heading));
+        }
+        this.vocabulary = vocabulary;
+        return vocabulary;
+    }
+
+    // Warning below the description of a setting, removed again when the message is empty
+    showWarning(setting, message) {
+        let warningEl = setting.descEl.querySelector('.paths-to-mocs-setting-warning');
+        if (!message) {
+            warningEl?.remove();
+            return;
+        }
+        if (!warningEl) warningEl = setting.descEl.createDiv({ cls: 'paths-to-mocs-setting-warning mod-warning' });
+        warningEl.setText(message);
+    }
+
+    // Check the text field of a setting as it is typed. Disabled fields are not checked.
+    addValidation(setting, check) {
+        const inputEl = setting.controlEl.querySelector('input[type="text"], textarea');
+        if (!inputEl) return;
+        const validate = () => this.showWarning(setting, inputEl.disabled ? "" : check(inputEl.value));
+        inputEl.addEventListener('input', validate);
+        validate();
+    }
+
+    checkProperties(value) {
+        const { properties } = this.getVaultVocabulary();
+        const unknown = value.split(',').map(property => property.trim()).filter(property => property && !properties.has(property));
+        if (unknown.length === 0) return "";
+        return `No note has the ${unknown.length === 1 ? "property" : "properties"} ${unknown.map(property => `"${property}"`).join(', ')}.`;
+    }
+
+    // Conditions such as "draft: true" are checked by their property name
+    checkPropertyConditions(value) {
+        return this.checkProperties(parsePropertyRules(splitRuleList(value)).map(rule => rule.key).join(','));
+    }
+
+    // Tags match nested tags too, like the tag rules do
+    checkTags(value) {
+        const { tags } = this.getVaultVocabulary();
+        const unknown = splitRuleList(value).map(tag => tag.replace(/^#/, '')).filter(tag => {
+            const lowerTag = tag.toLowerCase();
+            return !Array.from(tags).some(noteTag => noteTag === lowerTag || noteTag.startsWith(lowerTag + '/'));
+        });
+        if (unknown.length === 0) return "";
+        return `No note has the ${unknown.length === 1 ? "tag" : "tags"} ${unknown.map(tag => `#${tag}`).join(', ')}.`;
+    }
+
+    checkHeaders(value) {
+        const headings = Array.from(this.getVaultVocabulary().headings);
+        const unknown = splitRuleList(value).filter(rule => {
+            const matchers = compileHeadingRules(rule);
+            return !headings.some(heading => matchers.some(matches => matches(heading)));
+        });
+        if (unknown.length === 0) return "";
+        return `No note has a header matching ${unknown.map(rule => `"${rule}"`).join(', ')}.`;
+    }
+
+    checkNumber(value, minimum) {
+        const trimmedValue = value.trim();
+        if (/^\d+$/.test(trimmedValue) && Number(trimmedValue) >= minimum) return "";
+        return `Enter a whole number of at least ${minimum}. Until then the last valid value is used.`;
     }
 
     display() {
         const { containerEl } = this;
 
         containerEl.empty();
+        this.vocabulary = null; // Notes may have changed since the tab was last shown
         containerEl.createEl("h2", { text: "Paths to MOCs Settings" });
 
+        new Setting(containerEl)
+            .setName("Preview")
+            .setDesc("Paths of the active note with the settings below, updated as you edit them.")
+            .addButton(button => button
+                .setButtonText("Choose note…")
+                .onClick(() => {
+                    const notePaths = this.plugin.sortByName(this.app.vault.getMarkdownFiles().map(file => file.path));
+                    this.plugin.chooseNote(notePaths, (notePath) => {
+                        this.previewNotePath = notePath;
+                        this.updatePreview();
+                    });
+                })
+            )
+            .addButton(button => button
+                .setButtonText("Active note")
+                .onClick(() => {
+                    this.previewNotePath = null;
+                    this.updatePreview();
+                })
+            );
+        this.previewEl = containerEl.createDiv({ cls: 'paths-to-mocs-header-container paths-to-mocs-settings-preview' });
+        this.updatePreview();
+
+        const editedProfile = this.plugin.settings.profiles.find(profile => profile.id === this.editedProfileId);
+        if (!editedProfile) this.editedProfileId = DEFAULT_PROFILE_ID;
+        // A profile saved before a setting existed inherits it; show the inherited value and keep it from now on
+        PROFILE_SETTING_KEYS.forEach(key => {
+            if (editedProfile && editedProfile[key] === undefined) editedProfile[key] = this.plugin.settings[key];
+        });
+        // Path separator, search depth, hierarchical links and filtering are edited for the selected profile
+        const profileSettings = editedProfile || this.plugin.settings;
+
+        containerEl.createEl("h3", { text: "Hierarchy Profiles" });
+
+        containerEl.createEl("p", {
+            text: "Profiles let parts of the vault use their own hierarchy. Each profile has its own path separator, search depth, hierarchical links and filtering, and applies to the notes in its folders or with its tags. A note matched by several profiles shows the paths of each of them; notes matched by none use the default profile.",
+            cls: "setting-item-description"
+        });
+
+        new Setting(containerEl)
+            .setName("Profile to edit")
+            .setDesc("Path separator, search depth, hierarchical links and filtering below belong to this profile. All other settings are shared.")
+            .addDropdown(dropdown => {
+                dropdown.addOption(DEFAULT_PROFILE_ID, "Default");
+                this.plugin.settings.profiles.forEach(profile => dropdown.addOption(profile.id, profile.name || "Unnamed profile"));
+                dropdown
+                    .setValue(this.editedProfileId)
+                    .onChange((value) => {
+                        this.editedProfileId = value;
+                        this.display();
+                    });
+            })
+            .addButton(button => button
+                .setButtonText("Add profile")
+                .onClick(async () => {
+                    const profileData = createProfileData(this.plugin.settings, `Profile ${this.plugin.settings.profiles.length + 1}`);
+                    this.plugin.settings.profiles.push(profileData);
+                    this.editedProfileId = profileData.id;
+                    await this.saveProfileSettings();
+                    this.display();
+                })
+            );
+
+        if (editedProfile) {
+            new Setting(containerEl)
+                .setName("Profile name")
+                .setDesc("Shown above the paths of this profile.")
+                .addText(text => text
+                    .setValue(editedProfile.name)
+                    .onChange(async (value) => {
+                        editedProfile.name = value;
+                        await this.saveProfileSettings();
+                    })
+                )
+                .addButton(button => button
+                    .setButtonText("Delete profile")
+                    .setWarning()
+                    .onClick(async () => {
+                        this.plugin.settings.profiles = this.plugin.settings.profiles.filter(profile => profile !== editedProfile);
+                        this.editedProfileId = DEFAULT_PROFILE_ID;
+                        await this.saveProfileSettings();
+                        this.display();
+                    })
+                );
+
+            new Setting(containerEl)
+                .setName("Apply to Notes in These Folders")
+                .setDesc("Folders, glob patterns or regular expressions, like the exclusion rules. Use comma to separate multiple entries; regular expressions may contain commas. Case is ignored.")
+                .addTextArea(text => text
+                    .setPlaceholder("Examples: Work, Projects/**")
+                    .setValue(editedProfile.matchFolders)
+                    .onChange(async (value) => {
+                        editedProfile.matchFolders = value;
+                        await this.saveProfileSettings();
+                    })
+                );
+
+            const matchTagsSetting = new Setting(containerEl)
+                .setName("Apply to Notes with These Tags")
+                .setDesc("Nested tags are included. Use comma to separate multiple tags.")
+                .addTextArea(text => text
+                    .setPlaceholder("Examples: work, project")
+                    .setValue(editedProfile.matchTags)
+                    .onChange(async (value) => {
+                        editedProfile.matchTags = value;
+                        await this.saveProfileSettings();
+                    })
+                );
+            this.addValidation(matchTagsSetting, value => this.checkTags(value));
+        }
+
         containerEl.createEl("h3", { text: "Paths Display" });
 
         new Setting(containerEl)
@@ -510,19 +2934,156 @@ class PathsToMOCsSettingTab extends PluginSettingTab {
             .addText(text => {
                 text
                     .setPlaceholder(" → ")
-                    .setValue(this.plugin.settings.pathSeparator)
+                    .setValue(profileSettings.pathSeparator)
                     .onChange(async (value) => {
-                        this.plugin.settings.pathSeparator = value;
+                        profileSettings.pathSeparator = value;
+                        await this.saveProfileSettings();
+                    });
+            });
+
+        new Setting(containerEl)
+            .setName("Note label")
+            .setDesc("Template for the label of each note in paths, the graph, breadcrumbs and exports. A placeholder such as {{title|alias[0]|basename}} shows the first of its values that is set: a frontmatter property, alias for the aliases, or basename, name and path of the file. [n] picks an item of a list.")
+            .addText(text => {
+                text
+                    .setPlaceholder("{{basename}}")
+                    .setValue(this.plugin.settings.labelTemplate)
+                    .onChange(async (value) => {
+                        this.plugin.settings.labelTemplate = value;
+                        await this.plugin.saveSettings();
+                        this.plugin.requestRefresh();
+                    });
+            });
+
+        new Setting(containerEl)
+            .setName("Note icon property")
+            .setDesc("Frontmatter property with an icon name (such as \"star\") or an emoji shown before the label of a note. Leave empty to show no icons.")
+            .addText(text => {
+                text
+                    .setPlaceholder("icon")
+                    .setValue(this.plugin.settings.labelIconProperty)
+                    .onChange(async (value) => {
+                        this.plugin.settings.labelIconProperty = value;
                         await this.plugin.saveSettings();
-                        await this.plugin.updateVisibleHeaders();
+                        this.plugin.requestRefresh();
+                    });
+            });
+
+        const labelMaxLengthSetting = new Setting(containerEl)
+            .setName("Maximum label length")
+            .setDesc("Longer labels are cut off, with the full label shown on hover. Use 0 to show full labels.")
+            .addText(text => {
+                text
+                    .setPlaceholder("0")
+                    .setValue(String(this.plugin.settings.labelMaxLength))
+                    .onChange(async (value) => {
+                        const parsedValue = parseInt(value);
+                        if (!isNaN(parsedValue) && parsedValue >= 0) {
+                            this.plugin.settings.labelMaxLength = parsedValue;
+                            await this.plugin.saveSettings();
+                            this.plugin.requestRefresh();
+                        }
+                    });
+            });
+        this.addValidation(labelMaxLengthSetting, value => this.checkNumber(value, 0));
+
+        new Setting(containerEl)
+            .setName("Compact paths in the header")
+            .setDesc("Show only the root MOC and the immediate parent of long paths, with an ellipsis that expands the full path. \"Auto\" does this in narrow panes and on phones.")
+            .addDropdown(dropdown => dropdown
+                .addOption("never", "Never")
+                .addOption("auto", "Auto")
+                .addOption("always", "Always")
+                .setValue(this.plugin.settings.compactHeaderPaths)
+                .onChange(async (value) => {
+                    this.plugin.settings.compactHeaderPaths = value;
+                    await this.plugin.saveSettings();
+                    await this.plugin.refreshOpenViews();
+                })
+            );
+
+        const maxVisiblePathsSetting = new Setting(containerEl)
+            .setName("Maximum visible paths")
+            .setDesc("Number of paths shown in the header before the rest are hidden behind a \"+N more\" link. Use 0 to show all paths.")
+            .addText(text => {
+                text
+                    .setPlaceholder("0")
+                    .setValue(String(this.plugin.settings.maxVisiblePaths))
+                    .onChange(async (value) => {
+                        const parsedValue = parseInt(value);
+                        if (!isNaN(parsedValue) && parsedValue >= 0) {
+                            this.plugin.settings.maxVisiblePaths = parsedValue;
+                            await this.plugin.saveSettings();
+                            await this.plugin.refreshOpenViews();
+                        }
                     });
             });
+        this.addValidation(maxVisiblePathsSetting, value => this.checkNumber(value, 0));
+
+        new Setting(containerEl)
+            .setName("Display children in the header")
+            .setDesc("If enabled, a compact row with the child notes of the active note is displayed below its paths.")
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.displayChildrenInHeader)
+                .onChange(async (value) => {
+                    this.plugin.settings.displayChildrenInHeader = value;
+                    await this.plugin.saveSettings();
+                    await this.plugin.updateVisibleHeaders();
+                })
+            );
+
+        new Setting(containerEl)
+            .setName("Show children in the side panel")
+            .setDesc("If enabled, the side panel lists the child notes of the active note.")
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.showChildrenInView)
+                .onChange(async (value) => {
+                    this.plugin.settings.showChildrenInView = value;
+                    await this.plugin.saveSettings();
+                    await this.plugin.refreshOpenViews();
+                })
+            );
+
+        new Setting(containerEl)
+            .setName("Show siblings in the side panel")
+            .setDesc("If enabled, the side panel lists the notes that share a parent with the active note.")
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.showSiblingsInView)
+                .onChange(async (value) => {
+                    this.plugin.settings.showSiblingsInView = value;
+                    await this.plugin.saveSettings();
+                    await this.plugin.refreshOpenViews();
+                })
+            );
+
+        containerEl.createEl("h3", { text: "Relation Display" });
+
+        containerEl.createEl("p", {
+            text: "How each hop is marked depending on where the relation comes from. Hover a separator to see its origin.",
+            cls: "setting-item-description"
+        });
+
+        for (const [source, { name }] of Object.entries(RELATION_SOURCES)) {
+            new Setting(containerEl)
+                .setName(name)
+                .addDropdown(dropdown => dropdown
+                    .addOption("plain", "Plain separator")
+                    .addOption("colored", "Colored separator")
+                    .addOption("icon", "Icon before separator")
+                    .setValue(this.plugin.settings.relationStyles[source])
+                    .onChange(async (value) => {
+                        this.plugin.settings.relationStyles[source] = value;
+                        await this.plugin.saveSettings();
+                        await this.plugin.refreshOpenViews();
+                    })
+                );
+        }
 
         containerEl.createEl("h3", { text: "Paths Calculation" });
 
         new Setting(containerEl)
             .setName("Enable caching")
-            .setDesc("Enable caching to improve performance by storing calculated paths. Disable if you want paths to update dynamically on every tab change. Use the 'Refresh paths' command to manually update the cache.")
+            .setDesc("Enable caching to improve performance by storing calculated paths. Cached paths are updated automatically when notes change. Use the 'Refresh paths' command to manually clear the cache.")
             .addToggle(toggle => toggle
                 .setValue(this.plugin.settings.enableCaching)
                 .onChange(async (value) => {
@@ -532,145 +3093,492 @@ class PathsToMOCsSettingTab extends PluginSettingTab {
                 })
             );
 
-        new Setting(containerEl)
+        const maxDepthSetting = new Setting(containerEl)
             .setName("Limit Search Depth")
             .setDesc("Maximum number of notes in a path. Longer paths will be truncated.")
             .addText(text => {
                 text
                     .setPlaceholder("15")
-                    .setValue(String(this.plugin.settings.maxDepth))
+                    .setValue(String(profileSettings.maxDepth))
+                    .onChange(async (value) => {
+                        const parsedValue = parseInt(value);
+                        if (!isNaN(parsedValue) && parsedValue > 0) {
+                            profileSettings.maxDepth = parsedValue;
+                            await this.saveProfileSettings();
+                        }
+                    });
+            });
+        this.addValidation(maxDepthSetting, value => this.checkNumber(value, 1));
+
+        containerEl.createEl("h3", { text: "Paths Ranking" });
+
+        new Setting(containerEl)
+            .setName("Order of paths")
+            .setDesc("How paths are sorted. Paths that follow the pinned parents of their notes always come first.")
+            .addDropdown(dropdown => dropdown
+                .addOption("default", "Order found")
+                .addOption("shortest", "Shortest first")
+                .addOption("longest", "Longest first")
+                .addOption("rootTag", "Root with preferred tag first")
+                .addOption("relationPriority", "By relation priority")
+                .setValue(this.plugin.settings.pathSortOrder)
+                .onChange(async (value) => {
+                    this.plugin.settings.pathSortOrder = value;
+                    await this.plugin.saveSettings();
+                    this.plugin.invalidateAll();
+                    this.display();
+                })
+            );
+
+        if (this.plugin.settings.pathSortOrder === "rootTag") {
+            const rootTagSetting = new Setting(containerEl)
+                .setName("Preferred root tag")
+                .setDesc("Paths starting at a note with this tag are shown first.")
+                .addText(text => {
+                    text
+                        .setPlaceholder("MOC")
+                        .setValue(this.plugin.settings.preferredRootTag)
+                        .onChange(async (value) => {
+                            this.plugin.settings.preferredRootTag = value;
+                            await this.plugin.saveSettings();
+                            this.plugin.invalidateAll();
+                        });
+                });
+            this.addValidation(rootTagSetting, value => this.checkTags(value));
+        }
+
+        if (this.plugin.settings.pathSortOrder === "relationPriority") {
+            new Setting(containerEl)
+                .setName("Relation priority")
+                .setDesc("Relation sources from most to least preferred, compared hop by hop starting from the note. Sources: up, down, inline, tag, header, folder, canvas.")
+                .addText(text => {
+                    text
+                        .setPlaceholder("up, down, inline, tag, header, folder, canvas")
+                        .setValue(this.plugin.settings.relationPriority)
+                        .onChange(async (value) => {
+                            this.plugin.settings.relationPriority = value;
+                            await this.plugin.saveSettings();
+                            this.plugin.invalidateAll();
+                        });
+                });
+        }
+
+        new Setting(containerEl)
+            .setName("Pinned parent property")
+            .setDesc("A note can pin its preferred parent with a link in this frontmatter property. Paths through pinned parents are ranked first.")
+            .addText(text => {
+                text
+                    .setPlaceholder("primary-parent")
+                    .setValue(this.plugin.settings.pinnedParentProperty)
+                    .onChange(async (value) => {
+                        this.plugin.settings.pinnedParentProperty = value;
+                        await this.plugin.saveSettings();
+                        this.plugin.invalidateAll();
+                    });
+            });
+
+        new Setting(containerEl)
+            .setName("One path per root MOC")
+            .setDesc("If enabled, only the highest-ranked path is kept for each root MOC.")
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.onePathPerRoot)
+                .onChange(async (value) => {
+                    this.plugin.settings.onePathPerRoot = value;
+                    await this.plugin.saveSettings();
+                    this.plugin.invalidateAll();
+                })
+            );
+
+        new Setting(containerEl)
+            .setName("Primary path only")
+            .setDesc("If enabled, the header shows only the highest-ranked path.")
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.primaryPathOnly)
+                .onChange(async (value) => {
+                    this.plugin.settings.primaryPathOnly = value;
+                    await this.plugin.saveSettings();
+                    await this.plugin.refreshOpenViews();
+                })
+            );
+
+        containerEl.createEl("h3", { text: "How to Determine Hierarchical Links" });
+
+        const propertyUpSetting = new Setting(containerEl)
+            .setName("Find Parent Notes via YAML Properties")
+            .setDesc("Notes linked in the specified property of the current note will be treated as parent notes. Use comma to separate multiple properties.")
+            .addToggle(toggle => toggle
+                .setValue(profileSettings.enablePropertyUp)
+                .onChange(async (value) => {
+                    profileSettings.enablePropertyUp = value;
+                    await this.saveProfileSettings();
+                    this.display();
+                })
+            )
+            .addText(text => {
+                text
+                    .setPlaceholder("Property name for parent links")
+                    .setValue(profileSettings.propertyUp)
+                    .setDisabled(!profileSettings.enablePropertyUp)
+                    .onChange(async (value) => {
+                        profileSettings.propertyUp = value;
+                        await this.saveProfileSettings();
+                    });
+            });
+        this.addValidation(propertyUpSetting, value => this.checkProperties(value));
+
+        const propertyDownSetting = new Setting(containerEl)
+            .setName("Find Parent Notes via Backlinks in YAML Properties")
+            .setDesc("Notes that link to the current note via their specified property will be treated as parent notes. Use comma to separate multiple properties.")
+            .addToggle(toggle => toggle
+                .setValue(profileSettings.enablePropertyDown)
+                .onChange(async (value) => {
+                    profileSettings.enablePropertyDown = value;
+                    await this.saveProfileSettings();
+                    this.display();
+                })
+            )
+            .addText(text => {
+                text
+                    .setPlaceholder("Property name for child links")
+                    .setValue(profileSettings.propertyDown)
+                    .setDisabled(!profileSettings.enablePropertyDown)
+                    .onChange(async (value) => {
+                        profileSettings.propertyDown = value;
+                        await this.saveProfileSettings();
+                    });
+            });
+        this.addValidation(propertyDownSetting, value => this.checkProperties(value));
+
+        new Setting(containerEl)
+            .setName("Find Parent Notes via Inline Fields")
+            .setDesc("Notes linked in the specified inline fields of the note body (up:: [[Note]] or [up:: [[Note]]]) will be treated as parent notes. Use comma to separate multiple fields.")
+            .addToggle(toggle => toggle
+                .setValue(profileSettings.enableInlineFields)
+                .onChange(async (value) => {
+                    profileSettings.enableInlineFields = value;
+                    await this.saveProfileSettings();
+                    this.display();
+                })
+            )
+            .addText(text => {
+                text
+                    .setPlaceholder("Inline fields for parent links")
+                    .setValue(profileSettings.inlineFieldUp)
+                    .setDisabled(!profileSettings.enableInlineFields)
+                    .onChange(async (value) => {
+                        profileSettings.inlineFieldUp = value;
+                        await this.saveProfileSettings();
+                    });
+            });
+
+        new Setting(containerEl)
+            .setName("Find Child Notes via Inline Fields")
+            .setDesc("Notes linked in these inline fields will be treated as child notes. Use comma to separate multiple fields.")
+            .addText(text => {
+                text
+                    .setPlaceholder("Inline fields for child links")
+                    .setValue(profileSettings.inlineFieldDown)
+                    .setDisabled(!profileSettings.enableInlineFields)
+                    .onChange(async (value) => {
+                        profileSettings.inlineFieldDown = value;
+                        await this.saveProfileSettings();
+                    });
+            });
+
+        const mocTagsSetting = new Setting(containerEl)
+            .setName("Find Parent Notes via MOC Tags")
+            .setDesc("Notes linking to the current note that have the specified MOC tags will be treated as parent notes. Use comma to separate multiple tags.")
+            .addToggle(toggle => toggle
+                .setValue(profileSettings.enableMocTags)
+                .onChange(async (value) => {
+                    profileSettings.enableMocTags = value;
+                    await this.saveProfileSettings();
+                    this.display();
+                })
+            )
+            .addText(text => {
+                text
+                    .setPlaceholder("Tags for MOC notes (comma-separated)")
+                    .setValue(profileSettings.mocTags)
+                    .setDisabled(!profileSettings.enableMocTags)
+                    .onChange(async (value) => {
+                        profileSettings.mocTags = value;
+                        await this.saveProfileSettings();
+                    });
+            });
+        this.addValidation(mocTagsSetting, value => this.checkTags(value));
+
+        new Setting(containerEl)
+            .setName("Find Parent Notes via Folder Notes")
+            .setDesc("The folder note of the folder containing the current note will be treated as its parent note, folder by folder up to the vault root. Use comma to separate multiple folder note names; {folder} stands for the folder name.")
+            .addToggle(toggle => toggle
+                .setValue(profileSettings.enableFolderNotes)
+                .onChange(async (value) => {
+                    profileSettings.enableFolderNotes = value;
+                    await this.saveProfileSettings();
+                    this.display();
+                })
+            )
+            .addText(text => {
+                text
+                    .setPlaceholder("{folder}, index")
+                    .setValue(profileSettings.folderNoteNames)
+                    .setDisabled(!profileSettings.enableFolderNotes)
+                    .onChange(async (value) => {
+                        profileSettings.folderNoteNames = value;
+                        await this.saveProfileSettings();
+                    });
+            });
+
+        new Setting(containerEl)
+            .setName("Skip Folder Notes for Notes with Parent Links")
+            .setDesc("Notes with parent links in their properties or inline fields do not get the folder note as an additional parent.")
+            .addToggle(toggle => toggle
+                .setValue(profileSettings.folderParentOnlyWithoutUp)
+                .setDisabled(!profileSettings.enableFolderNotes)
+                .onChange(async (value) => {
+                    profileSettings.folderParentOnlyWithoutUp = value;
+                    await this.saveProfileSettings();
+                })
+            );
+
+        new Setting(containerEl)
+            .setName("Find Child Notes via Canvases")
+            .setDesc("Notes, PDFs and other files placed as cards on a canvas will be treated as child notes of the canvas. A card that an arrow points to from another file card is a child of that card instead.")
+            .addToggle(toggle => toggle
+                .setValue(profileSettings.enableCanvas)
+                .onChange(async (value) => {
+                    profileSettings.enableCanvas = value;
+                    await this.saveProfileSettings();
+                })
+            );
+
+        const headerNameSetting = new Setting(containerEl)
+            .setName("Find Parent Notes via Specific Headers")
+            .setDesc("Notes linking to the current note under the specified section header, including its subsections, will be treated as parent notes. Use comma to separate multiple headers. End a name with * to match headers starting with it, or write a regular expression such as /^Sub(projects|topics)$/.")
+            .addToggle(toggle => toggle
+                .setValue(profileSettings.enableHeaderName)
+                .onChange(async (value) => {
+                    profileSettings.enableHeaderName = value;
+                    await this.saveProfileSettings();
+                    this.display();
+                })
+            )
+            .addText(text => {
+                text
+                    .setPlaceholder("Header name")
+                    .setValue(profileSettings.headerName)
+                    .setDisabled(!profileSettings.enableHeaderName)
+                    .onChange(async (value) => {
+                        profileSettings.headerName = value;
+                        await this.saveProfileSettings();
+                    });
+            });
+        this.addValidation(headerNameSetting, value => this.checkHeaders(value));
+
+        new Setting(containerEl)
+            .setName("Count Embeds Under Headers")
+            .setDesc("Embedded notes (![[Note]]) under the specified headers are children as well.")
+            .addToggle(toggle => toggle
+                .setValue(profileSettings.headerIncludeEmbeds)
+                .setDisabled(!profileSettings.enableHeaderName)
+                .onChange(async (value) => {
+                    profileSettings.headerIncludeEmbeds = value;
+                    await this.saveProfileSettings();
+                })
+            );
+
+        new Setting(containerEl)
+            .setName("Nested Lists Under Headers")
+            .setDesc("A link in a nested list item under the specified headers is a child of the note linked in its parent list item instead of the current note.")
+            .addToggle(toggle => toggle
+                .setValue(profileSettings.headerNestedLists)
+                .setDisabled(!profileSettings.enableHeaderName)
+                .onChange(async (value) => {
+                    profileSettings.headerNestedLists = value;
+                    await this.saveProfileSettings();
+                })
+            );
+
+        containerEl.createEl("h3", { text: "Filtering" });
+
+        new Setting(containerEl)
+            .setName("Exclude Notes in These Folders")
+            .setDesc("Specify folders to exclude from the paths, including their subfolders. Use comma to separate multiple folders. Glob patterns (Daily/**, **/drafts/*) and regular expressions (/^Archive \\d+\\//) are matched against the note path. Case is ignored.")
+            .addTextArea(text => {
+                text
+                    .setPlaceholder("Examples: Folder1, Folder2/Subfolder, **/Templates/*")
+                    .setValue(profileSettings.excludedFolders)
+                    .onChange(async (value) => {
+                        profileSettings.excludedFolders = value;
+                        await this.saveProfileSettings();
+                    });
+            });
+
+        const excludedTagsSetting = new Setting(containerEl)
+            .setName("Exclude Notes with These Tags")
+            .setDesc("Specify tags to exclude from the paths. Notes containing these tags or their nested tags (#status also excludes #status/done) will not be considered. Use comma to separate multiple tags.")
+            .addTextArea(text => {
+                text
+                    .setPlaceholder("Examples: tag1, tag2")
+                    .setValue(profileSettings.excludedTags)
+                    .onChange(async (value) => {
+                        profileSettings.excludedTags = value;
+                        await this.saveProfileSettings();
+                    });
+            });
+        this.addValidation(excludedTagsSetting, value => this.checkTags(value));
+
+        const excludedPropertiesSetting = new Setting(containerEl)
+            .setName("Exclude Notes with These Properties")
+            .setDesc("Notes whose frontmatter matches one of these conditions will not be considered. Use \"property: value\" to match a value, or just the property name to match any non-empty value. Use comma to separate multiple conditions.")
+            .addTextArea(text => {
+                text
+                    .setPlaceholder("Examples: draft: true, status: archived")
+                    .setValue(profileSettings.excludedProperties)
+                    .onChange(async (value) => {
+                        profileSettings.excludedProperties = value;
+                        await this.saveProfileSettings();
+                    });
+            });
+        this.addValidation(excludedPropertiesSetting, value => this.checkPropertyConditions(value));
+
+        containerEl.createEl("h3", { text: "Exclude From Being Shown as Root" });
+
+        containerEl.createEl("p", {
+            text: "Notes matching these rules still appear inside paths, but paths never start at them. The rules work like the ones above.",
+            cls: "setting-item-description"
+        });
+
+        new Setting(containerEl)
+            .setName("Folders")
+            .addTextArea(text => {
+                text
+                    .setPlaceholder("Examples: Inbox, Daily/**")
+                    .setValue(profileSettings.rootExcludedFolders)
                     .onChange(async (value) => {
-                        const parsedValue = parseInt(value);
-                        if (!isNaN(parsedValue) && parsedValue > 0) {
-                            this.plugin.settings.maxDepth = parsedValue;
-                            await this.plugin.saveSettings();
-                        }
+                        profileSettings.rootExcludedFolders = value;
+                        await this.saveProfileSettings();
                     });
             });
 
-        containerEl.createEl("h3", { text: "How to Determine Hierarchical Links" });
-
-        new Setting(containerEl)
-            .setName("Find Parent Notes via YAML Properties")
-            .setDesc("Notes linked in the specified property of the current note will be treated as parent notes. Use comma to separate multiple properties.")
-            .addToggle(toggle => toggle
-                .setValue(this.plugin.settings.enablePropertyUp)
-                .onChange(async (value) => {
-                    this.plugin.settings.enablePropertyUp = value;
-                    await this.plugin.saveSettings();
-                    this.display();
-                })
-            )
-            .addText(text => {
+        const rootExcludedTagsSetting = new Setting(containerEl)
+            .setName("Tags")
+            .addTextArea(text => {
                 text
-                    .setPlaceholder("Property name for parent links")
-                    .setValue(this.plugin.settings.propertyUp)
-                    .setDisabled(!this.plugin.settings.enablePropertyUp)
+                    .setPlaceholder("Examples: daily, status/draft")
+                    .setValue(profileSettings.rootExcludedTags)
                     .onChange(async (value) => {
-                        this.plugin.settings.propertyUp = value;
-                        await this.plugin.saveSettings();
+                        profileSettings.rootExcludedTags = value;
+                        await this.saveProfileSettings();
                     });
             });
+        this.addValidation(rootExcludedTagsSetting, value => this.checkTags(value));
 
-        new Setting(containerEl)
-            .setName("Find Parent Notes via Backlinks in YAML Properties")
-            .setDesc("Notes that link to the current note via their specified property will be treated as parent notes. Use comma to separate multiple properties.")
-            .addToggle(toggle => toggle
-                .setValue(this.plugin.settings.enablePropertyDown)
-                .onChange(async (value) => {
-                    this.plugin.settings.enablePropertyDown = value;
-                    await this.plugin.saveSettings();
-                    this.display();
-                })
-            )
-            .addText(text => {
+        const rootExcludedPropertiesSetting = new Setting(containerEl)
+            .setName("Properties")
+            .addTextArea(text => {
                 text
-                    .setPlaceholder("Property name for child links")
-                    .setValue(this.plugin.settings.propertyDown)
-                    .setDisabled(!this.plugin.settings.enablePropertyDown)
+                    .setPlaceholder("Examples: type: journal")
+                    .setValue(profileSettings.rootExcludedProperties)
                     .onChange(async (value) => {
-                        this.plugin.settings.propertyDown = value;
-                        await this.plugin.saveSettings();
+                        profileSettings.rootExcludedProperties = value;
+                        await this.saveProfileSettings();
                     });
             });
+        this.addValidation(rootExcludedPropertiesSetting, value => this.checkPropertyConditions(value));
+
+        containerEl.createEl("h3", { text: "Editing the Hierarchy" });
 
         new Setting(containerEl)
-            .setName("Find Parent Notes via MOC Tags")
-            .setDesc("Notes linking to the current note that have the specified MOC tags will be treated as parent notes. Use comma to separate multiple tags.")
-            .addToggle(toggle => toggle
-                .setValue(this.plugin.settings.enableMocTags)
+            .setName("Write new relations to")
+            .setDesc("Where the \"Set parent\", \"Add child\" and \"Move under\" commands write links: the first parent or child property of the note, or a list under the first specific header of the parent note.")
+            .addDropdown(dropdown => dropdown
+                .addOption("property", "Parent and child properties")
+                .addOption("header", "Section under the header of the parent")
+                .setValue(this.plugin.settings.relationWriteTarget)
                 .onChange(async (value) => {
-                    this.plugin.settings.enableMocTags = value;
+                    this.plugin.settings.relationWriteTarget = value;
                     await this.plugin.saveSettings();
-                    this.display();
                 })
-            )
+            );
+
+        containerEl.createEl("h3", { text: "Breadcrumbs and Export" });
+
+        new Setting(containerEl)
+            .setName("Breadcrumb property")
+            .setDesc("Frontmatter property filled by the \"Write breadcrumbs to frontmatter\" command. Its links are not read as relations.")
             .addText(text => {
                 text
-                    .setPlaceholder("Tags for MOC notes (comma-separated)")
-                    .setValue(this.plugin.settings.mocTags)
-                    .setDisabled(!this.plugin.settings.enableMocTags)
+                    .setPlaceholder("breadcrumbs")
+                    .setValue(this.plugin.settings.breadcrumbProperty)
                     .onChange(async (value) => {
-                        this.plugin.settings.mocTags = value;
+                        this.plugin.settings.breadcrumbProperty = value;
                         await this.plugin.saveSettings();
+                        this.plugin.invalidateAll();
                     });
             });
 
         new Setting(containerEl)
-            .setName("Find Parent Notes via Specific Headers")
-            .setDesc("Notes linking to the current note under the specified section header will be treated as parent notes. Use comma to separate multiple headers.")
-            .addToggle(toggle => toggle
-                .setValue(this.plugin.settings.enableHeaderName)
+            .setName("Breadcrumb content")
+            .setDesc("Write every path as a line of links, or only the chain of parents of the highest-ranked path.")
+            .addDropdown(dropdown => dropdown
+                .addOption("paths", "All paths")
+                .addOption("primary", "Primary parent chain")
+                .setValue(this.plugin.settings.breadcrumbContent)
                 .onChange(async (value) => {
-                    this.plugin.settings.enableHeaderName = value;
+                    this.plugin.settings.breadcrumbContent = value;
                     await this.plugin.saveSettings();
-                    this.display();
                 })
-            )
+            );
+
+        new Setting(containerEl)
+            .setName("Export folder")
+            .setDesc("Folder of the hierarchy.json, hierarchy.csv and hierarchy.graphml files written by the export commands. Leave empty for the vault root.")
             .addText(text => {
                 text
-                    .setPlaceholder("Header name")
-                    .setValue(this.plugin.settings.headerName)
-                    .setDisabled(!this.plugin.settings.enableHeaderName)
+                    .setPlaceholder("Example: Exports")
+                    .setValue(this.plugin.settings.exportFolder)
                     .onChange(async (value) => {
-                        this.plugin.settings.headerName = value;
+                        this.plugin.settings.exportFolder = value;
                         await this.plugin.saveSettings();
                     });
             });
 
-        containerEl.createEl("h3", { text: "Filtering" });
+        containerEl.createEl("h3", { text: "Share Settings" });
 
         new Setting(containerEl)
-            .setName("Exclude Notes in These Folders")
-            .setDesc("Specify folders to exclude from the paths. Use comma to separate multiple folders.")
-            .addTextArea(text => {
-                text
-                    .setPlaceholder("Examples: Folder1, Folder2/Subfolder")
-                    .setValue(this.plugin.settings.excludedFolders)
-                    .onChange(async (value) => {
-                        this.plugin.settings.excludedFolders = value;
-                        await this.plugin.saveSettings();
-                    });
-            });
+            .setName("Export settings")
+            .setDesc("Save all settings and profiles as JSON, to paths-to-mocs-settings.json in the export folder or to the clipboard, for use in another vault.")
+            .addButton(button => button
+                .setButtonText("Export to file")
+                .onClick(async () => {
+                    const exportPath = await this.plugin.writeExportFile("paths-to-mocs-settings.json", this.plugin.settingsToJson());
+                    new Notice(exportPath ? `Settings exported to ${exportPath}` : "Could not export the settings.");
+                })
+            )
+            .addButton(button => button
+                .setButtonText("Copy")
+                .onClick(async () => {
+                    await navigator.clipboard.writeText(this.plugin.settingsToJson());
+                    new Notice("Settings copied to the clipboard.");
+                })
+            );
 
         new Setting(containerEl)
-            .setName("Exclude Notes with These Tags")
-            .setDesc("Specify tags to exclude from the paths. Notes containing these tags will not be considered. Use comma to separate multiple tags.")
-            .addTextArea(text => {
-                text
-                    .setPlaceholder("Examples: tag1, tag2")
-                    .setValue(this.plugin.settings.excludedTags)
-                    .onChange(async (value) => {
-                        this.plugin.settings.excludedTags = value;
-                        await this.plugin.saveSettings();
-                    });
-            });
+            .setName("Import settings")
+            .setDesc("Replace the settings with exported ones. Settings missing from the export keep their current values.")
+            .addButton(button => button
+                .setButtonText("Import…")
+                .onClick(() => new SettingsImportModal(this.plugin, () => this.display()).open())
+            );
     }
 }
 
 class PathsToMOCsView extends ItemView {
     constructor(leaf, plugin) {
         super(leaf);
+        this.plugin = plugin;
         this.contentEl.style.overflow = 'auto'; // Enable scroll for the view content
     }
 
@@ -681,67 +3589,549 @@ class PathsToMOCsView extends ItemView {
     }
 
     getDisplayText() {
-        return "Paths to MOCs";
+        return this.pinnedNotePath ? `Paths to MOCs: ${this.plugin.getNoteName(this.pinnedNotePath)}` : "Paths to MOCs";
     }
 
     getIcon() {
         return "list-tree";
     }
 
+    // The pinned note is kept with the workspace layout, so pinned panels survive a restart
+    getState() {
+        return Object.assign(super.getState(), { pinnedNotePath: this.pinnedNotePath || null });
+    }
+
+    async setState(state, result) {
+        await super.setState(state, result);
+        this.pinnedNotePath = state?.pinnedNotePath || null;
+        this.updatePinAction();
+        await this.refresh();
+    }
+
     async onOpen() {
-        this.container = this.contentEl; // Use contentEl for adding scroll
-        this.container.empty();
+        this.displayModeAction = this.addAction("network", "", () => this.toggleDisplayMode());
+        this.updateDisplayModeAction();
+        this.pinAction = this.addAction("pin", "", () => this.togglePinned());
+        this.updatePinAction();
+        this.addAction("copy", "Copy paths as Markdown", () => this.copyPaths());
+
+        this.contentEl.empty();
+        this.filterText = "";
+        new SearchComponent(this.contentEl.createDiv({ cls: 'paths-to-mocs-filter' }))
+            .setPlaceholder("Filter by note, or root: for the root MOC")
+            .onChange((value) => {
+                this.filterText = value;
+                this.updatePaths(this.groups);
+            });
+
+        this.container = this.contentEl.createDiv();
         // Initial message
         const initialContainer = this.container.createDiv({ cls: 'paths-to-mocs-header-container' });
         initialContainer.setText("Paths to MOCs will be displayed here.");
 
-        const currentFile = this.app.workspace.getActiveFile();
-        if (currentFile && !this.plugin.isExcluded(currentFile.path)) {
-            await this.updatePaths(await this.plugin.calculatePaths(currentFile.path));
-        } else if (currentFile) {
-            this.updatePaths([]);
+        // Follow the pinned note when it or a folder above it is renamed
+        this.registerEvent(this.app.vault.on('rename', (file, oldPath) => {
+            const newPath = this.pinnedNotePath && getRenamedPath(this.pinnedNotePath, file.path, oldPath);
+            if (!newPath) return;
+            this.pinnedNotePath = newPath;
+            this.leaf.updateHeader?.();
+            this.app.workspace.requestSaveLayout();
+        }));
+
+        await this.refresh();
+    }
+
+    // Note shown in the panel: the pinned note, or the active one
+    getNotePath() {
+        return this.pinnedNotePath || this.app.workspace.getActiveFile()?.path || null;
+    }
+
+    // Re-render the panel. Groups of the active note are passed on by the plugin; a pinned panel computes its own.
+    async refresh(activeGroups) {
+        if (!this.container) return;
+        if (this.pinnedNotePath && !this.app.vault.getAbstractFileByPath(this.pinnedNotePath)) {
+            this.pinnedNotePath = null; // The pinned note was deleted
+            this.updatePinAction();
+            this.app.workspace.requestSaveLayout();
+        }
+        const notePath = this.getNotePath();
+        const groups = !this.pinnedNotePath && activeGroups ? activeGroups
+            : notePath ? await this.plugin.calculatePathGroups(notePath) : [];
+        await this.updatePaths(groups);
+    }
+
+    updatePinAction() {
+        if (!this.pinAction) return;
+        setIcon(this.pinAction, this.pinnedNotePath ? "pin-off" : "pin");
+        this.pinAction.setAttr("aria-label", this.pinnedNotePath ? "Unpin and follow the active note" : "Pin to the current note");
+        this.pinAction.toggleClass('is-active', !!this.pinnedNotePath);
+    }
+
+    async togglePinned() {
+        this.pinnedNotePath = this.pinnedNotePath ? null : this.app.workspace.getActiveFile()?.path || null;
+        this.updatePinAction();
+        this.leaf.updateHeader?.();
+        this.app.workspace.requestSaveLayout();
+        await this.refresh();
+    }
+
+    // Paths that contain a note whose name includes the filter text, or with "root:" a root MOC whose name does
+    filterPaths(paths) {
+        const filterText = (this.filterText || "").trim().toLowerCase();
+        if (!filterText) return paths;
+        const rootOnly = filterText.startsWith("root:");
+        const query = rootOnly ? filterText.slice("root:".length).trim() : filterText;
+        return paths.filter(path => (rootOnly ? [path[0]] : path)
+            .some(notePath => this.plugin.getNoteName(notePath).toLowerCase().includes(query)));
+    }
+
+    // Every displayed path as a list item of links, with the profile names as headings when there are several
+    async copyPaths() {
+        const notePath = this.getNotePath();
+        const groups = this.groups || [];
+        const labelGroups = this.plugin.shouldLabelGroups(groups);
+        const lines = [];
+        for (const { profile, paths } of groups) {
+            const filteredPaths = this.filterPaths(paths);
+            if (labelGroups) lines.push(`## ${profile.name}`);
+            filteredPaths.forEach(path => lines.push(`- ${path.map(pathNote =>
+                this.plugin.createLabelledWikilink(pathNote, notePath)).join(profile.settings.pathSeparator)}`));
+        }
+        if (!lines.some(line => line.startsWith('- '))) {
+            new Notice("No paths to copy.");
+            return;
         }
+        await navigator.clipboard.writeText(lines.join('\n'));
+        new Notice("Paths copied as Markdown.");
+    }
+
+    updateDisplayModeAction() {
+        const isTree = this.plugin.settings.viewDisplayMode === "tree";
+        setIcon(this.displayModeAction, isTree ? "list" : "network");
+        this.displayModeAction.setAttr("aria-label", isTree ? "Show paths as a list" : "Show paths as a tree");
+    }
+
+    async toggleDisplayMode() {
+        this.plugin.settings.viewDisplayMode = this.plugin.settings.viewDisplayMode === "tree" ? "flat" : "tree";
+        await this.plugin.saveSettings();
+        // Keep every open panel in the same mode
+        this.app.workspace.getLeavesOfType(PathsToMOCsView.VIEW_TYPE).forEach(leaf => {
+            if (leaf.view instanceof PathsToMOCsView) {
+                leaf.view.updateDisplayModeAction();
+                leaf.view.updatePaths(leaf.view.groups);
+            }
+        });
     }
 
-    async updatePaths(paths = []) {
+    // Render the path groups of the pinned or active note (see calculatePathGroups)
+    async updatePaths(groups = []) {
+        this.groups = groups;
+        const notePath = this.getNotePath();
+        // Look up the sections before emptying the panel, so overlapping refreshes cannot both add theirs
+        const children = notePath && this.plugin.settings.showChildrenInView
+            ? await this.plugin.collectNotesOfGroups(groups, profile => this.plugin.getChildNotes(notePath, profile)) : null;
+        const siblings = notePath && this.plugin.settings.showSiblingsInView
+            ? await this.plugin.collectNotesOfGroups(groups, profile => this.plugin.getSiblingNotes(notePath, profile)) : null;
+
         const container = this.container;
         container.empty();
 
-        const currentFile = this.app.workspace.getActiveFile();
-        if (currentFile && this.plugin.isExcluded(currentFile.path)) {
+        if (notePath && groups.length === 0) {
             return; // Do not display "No paths found" if the current file is excluded
         }
 
         const pathsContainer = container.createDiv({ cls: 'paths-to-mocs-header-container' });
+        const labelGroups = this.plugin.shouldLabelGroups(groups);
 
-        if (paths.length === 0) {
+        if (!labelGroups && groups.every(group => group.paths.length === 0)) {
             pathsContainer.setText("No paths to MOCs found for the current note.");
-            return;
-        }
+        } else {
+            for (const { profile, paths } of groups) {
+                if (labelGroups) pathsContainer.createDiv({ text: profile.name, cls: 'paths-to-mocs-group-label' });
+                if (paths.length === 0) {
+                    pathsContainer.createDiv({ text: "No paths to MOCs found.", cls: 'paths-to-mocs-section-empty' });
+                    continue;
+                }
+                const filteredPaths = this.filterPaths(paths);
+                if (filteredPaths.length === 0) {
+                    pathsContainer.createDiv({ text: "No paths match the filter.", cls: 'paths-to-mocs-section-empty' });
+                    continue;
+                }
 
-        const viewContent = pathsContainer.createDiv({ cls: 'paths-to-mocs-view-content' });
+                const viewContent = pathsContainer.createDiv({ cls: 'paths-to-mocs-view-content' });
 
-        for (const [pathIndex, path] of paths.entries()) {
-            const pathWrapper = viewContent.createDiv({ cls: 'path-wrapper' });
-            for (const [idx, notePath] of path.entries()) {
-                const note = this.app.vault.getAbstractFileByPath(notePath)?.basename || notePath;
-                if (idx > 0) pathWrapper.appendText(this.plugin.settings.pathSeparator);
-                const link = pathWrapper.createEl("a", {
-                    text: note,
-                    cls: 'paths-to-mocs-header-link'
-                });
-                link.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    this.plugin.app.workspace.openLinkText(notePath, '', e.ctrlKey);
-                });
+                if (this.plugin.settings.viewDisplayMode === "tree") {
+                    const collapsed = new Set(this.plugin.settings.collapsedTreeNodes[notePath] || []);
+                    this.renderTreeNodes(viewContent, this.buildPathTree(filteredPaths), collapsed, notePath, null, profile);
+                } else {
+                    for (const [pathIndex, path] of filteredPaths.entries()) {
+                        this.plugin.renderPathLine(viewContent.createDiv({ cls: 'path-wrapper' }), path, false, profile);
+                        if (pathIndex < filteredPaths.length - 1) {
+                            viewContent.createDiv({ cls: 'path-divider' });
+                        }
+                    }
+                }
             }
-            if (pathIndex < paths.length - 1) {
-                viewContent.createDiv({ cls: 'path-divider' });
+        }
+
+        if (children) this.renderNoteSection(container, "Children", children);
+        if (siblings) this.renderNoteSection(container, "Siblings", siblings);
+    }
+
+    // Merge paths that share a prefix into a tree rooted at each MOC
+    buildPathTree(paths) {
+        const roots = new Map();
+        for (const path of paths) {
+            let level = roots;
+            path.forEach((notePath, idx) => {
+                if (!level.has(notePath)) {
+                    level.set(notePath, { notePath, key: path.slice(0, idx + 1).join('\n'), children: new Map() });
+                }
+                level = level.get(notePath).children;
+            });
+        }
+        return roots;
+    }
+
+    renderTreeNodes(containerEl, nodes, collapsed, currentNotePath, parentPath, profile) {
+        for (const node of nodes.values()) {
+            const nodeEl = containerEl.createDiv({ cls: 'paths-to-mocs-tree-node' });
+            const rowEl = nodeEl.createDiv({ cls: 'paths-to-mocs-tree-row' });
+            const toggleEl = rowEl.createSpan({ cls: 'paths-to-mocs-tree-toggle' });
+            if (parentPath) this.plugin.createRelationSeparator(rowEl, parentPath, node.notePath, "", profile);
+            this.plugin.createNoteLink(rowEl, node.notePath);
+
+            if (node.children.size === 0) continue;
+
+            const isCollapsed = collapsed.has(node.key);
+            setIcon(toggleEl, isCollapsed ? "chevron-right" : "chevron-down");
+            toggleEl.addClass('is-clickable');
+            toggleEl.addEventListener('click', () => this.toggleTreeNode(currentNotePath, node.key));
+
+            if (!isCollapsed) {
+                this.renderTreeNodes(nodeEl.createDiv({ cls: 'paths-to-mocs-tree-children' }), node.children, collapsed, currentNotePath, node.notePath, profile);
             }
         }
     }
 
+    // Remember the expanded state of each tree node per note
+    async toggleTreeNode(currentNotePath, nodeKey) {
+        if (!currentNotePath) return;
+        const collapsedTreeNodes = this.plugin.settings.collapsedTreeNodes;
+        const collapsed = new Set(collapsedTreeNodes[currentNotePath] || []);
+        if (collapsed.has(nodeKey)) {
+            collapsed.delete(nodeKey);
+        } else {
+            collapsed.add(nodeKey);
+        }
+
+        if (collapsed.size > 0) {
+            collapsedTreeNodes[currentNotePath] = Array.from(collapsed);
+        } else {
+            delete collapsedTreeNodes[currentNotePath];
+        }
+        await this.plugin.saveSettings();
+        await this.updatePaths(this.groups);
+    }
+
+    renderNoteSection(container, title, notePaths) {
+        const sectionContainer = container.createDiv({ cls: 'paths-to-mocs-header-container paths-to-mocs-section' });
+        sectionContainer.createDiv({ text: title, cls: 'paths-to-mocs-section-title' });
+
+        if (notePaths.length === 0) {
+            sectionContainer.createDiv({ text: `No ${title.toLowerCase()} found.`, cls: 'paths-to-mocs-section-empty' });
+            return;
+        }
+
+        for (const notePath of notePaths) {
+            const noteWrapper = sectionContainer.createDiv({ cls: 'path-wrapper' });
+            this.plugin.createNoteLink(noteWrapper, notePath);
+        }
+    }
+
     async onClose() {
         // Cleanup if necessary
     }
-}
\ No newline at end of file
+}
+
+// Ancestors of the active note as a directed graph with the root MOCs at the top, taken from its paths, and
+// optionally its descendants. Nodes are colored by MOC tag and open their note on click.
+class HierarchyGraphView extends ItemView {
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+        this.contentEl.style.overflow = 'auto';
+    }
+
+    static VIEW_TYPE = "paths-to-mocs-graph-view";
+
+    getViewType() {
+        return HierarchyGraphView.VIEW_TYPE;
+    }
+
+    getDisplayText() {
+        return "Hierarchy graph";
+    }
+
+    getIcon() {
+        return "git-fork";
+    }
+
+    async onOpen() {
+        const settings = this.plugin.settings;
+        this.contentEl.empty();
+        // The controls stay in place while the graph below them is redrawn
+        const controlsEl = this.contentEl.createDiv({ cls: 'paths-to-mocs-graph-controls' });
+        new Setting(controlsEl)
+            .setName("Depth")
+            .addSlider(slider => slider
+                .setLimits(1, 10, 1)
+                .setValue(settings.graphDepth)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    settings.graphDepth = value;
+                    await this.plugin.saveSettings();
+                    await this.renderGraph();
+                })
+            );
+        new Setting(controlsEl)
+            .setName("Show descendants")
+            .addToggle(toggle => toggle
+                .setValue(settings.graphShowDescendants)
+                .onChange(async (value) => {
+                    settings.graphShowDescendants = value;
+                    await this.plugin.saveSettings();
+                    await this.renderGraph();
+                })
+            );
+        this.graphEl = this.contentEl.createDiv({ cls: 'paths-to-mocs-graph-container' });
+        await this.renderGraph();
+    }
+
+    // Draw the graph of the active note, from its path groups when the caller already has them
+    async renderGraph(groups) {
+        if (!this.graphEl) return;
+        const currentFile = this.app.workspace.getActiveFile();
+        const graph = currentFile ? await this.collectGraph(currentFile.path, groups) : null;
+
+        this.graphEl.empty();
+        if (!graph) {
+            this.graphEl.createDiv({ text: "Open a note to see its hierarchy.", cls: 'paths-to-mocs-section-empty' });
+            return;
+        }
+        if (graph.edges.length === 0) {
+            this.graphEl.createDiv({ text: "No parent or child notes found for the current note.", cls: 'paths-to-mocs-section-empty' });
+            return;
+        }
+        this.drawGraph(this.graphEl, graph, currentFile.path);
+    }
+
+    // Notes and parent -> child edges within the depth limit, and the MOC tags used for coloring, in every profile of the note
+    async collectGraph(notePath, groups) {
+        const settings = this.plugin.settings;
+        groups = groups || await this.plugin.calculatePathGroups(notePath);
+        const notePaths = new Set([notePath]);
+        const edges = new Map(); // "parent\nchild" -> { parent, child }
+        const addEdge = (parent, child) => {
+            notePaths.add(parent).add(child);
+            edges.set(`${parent}\n${child}`, { parent, child });
+        };
+
+        for (const { paths } of groups) {
+            for (const path of paths) {
+                const visiblePath = path.slice(-(settings.graphDepth + 1));
+                for (let idx = 1; idx < visiblePath.length; idx++) {
+                    addEdge(visiblePath[idx - 1], visiblePath[idx]);
+                }
+            }
+        }
+
+        if (settings.graphShowDescendants) {
+            const ancestors = new Set(notePaths);
+            for (const { profile } of groups) {
+                let level = [notePath];
+                for (let depth = 0; depth < settings.graphDepth && level.length > 0; depth++) {
+                    const nextLevel = [];
+                    for (const parentPath of level) {
+                        for (const childPath of await this.plugin.getChildNotes(parentPath, profile)) {
+                            // An ancestor that is also a descendant would close a cycle
+                            if (ancestors.has(childPath)) continue;
+                            if (!notePaths.has(childPath)) nextLevel.push(childPath);
+                            addEdge(parentPath, childPath);
+                        }
+                    }
+                    level = nextLevel;
+                }
+            }
+        }
+
+        const mocTags = new Set();
+        for (const { profile } of groups) {
+            if (!profile.settings.enableMocTags) continue;
+            profile.settings.mocTags.split(',').map(tag => tag.trim()).filter(Boolean).forEach(tag => mocTags.add(tag));
+        }
+
+        return { notePaths: Array.from(notePaths), edges: Array.from(edges.values()), mocTags: Array.from(mocTags) };
+    }
+
+    // First MOC tag of a note, if any
+    getMocTag(notePath, mocTags) {
+        const file = this.app.vault.getAbstractFileByPath(notePath);
+        const tags = getNoteTags(file ? this.app.metadataCache.getFileCache(file) : null);
+        return mocTags.find(tag => tags.has(tag.toLowerCase()));
+    }
+
+    drawGraph(containerEl, graph, currentNotePath) {
+        const layers = layoutGraphLayers(this.plugin.sortByName(graph.notePaths), graph.edges);
+        const width = Math.max(...layers.map(layer => layer.length)) * GRAPH_COLUMN_WIDTH;
+        const height = layers.length * GRAPH_ROW_HEIGHT;
+        const svg = containerEl.createSvg('svg', {
+            cls: 'paths-to-mocs-graph',
+            attr: { width, height, viewBox: `0 0 ${width} ${height}` },
+        });
+
+        // Centers of the nodes, with every layer centered horizontally
+        const centers = new Map();
+        layers.forEach((layer, layerIndex) => {
+            const offset = (width - layer.length * GRAPH_COLUMN_WIDTH) / 2;
+            layer.forEach((notePath, idx) => centers.set(notePath, {
+                x: offset + (idx + 0.5) * GRAPH_COLUMN_WIDTH,
+                y: (layerIndex + 0.5) * GRAPH_ROW_HEIGHT,
+            }));
+        });
+
+        const marker = svg.createSvg('defs').createSvg('marker', {
+            attr: { id: 'paths-to-mocs-graph-arrow', viewBox: '0 0 10 10', refX: 10, refY: 5, markerWidth: 6, markerHeight: 6, orient: 'auto' },
+        });
+        marker.createSvg('path', { cls: 'paths-to-mocs-graph-arrow', attr: { d: 'M 0 0 L 10 5 L 0 10 z' } });
+
+        for (const { parent, child } of graph.edges) {
+            const from = centers.get(parent);
+            const to = centers.get(child);
+            const startY = from.y + GRAPH_NODE_HEIGHT / 2;
+            const endY = to.y - GRAPH_NODE_HEIGHT / 2;
+            const middleY = (startY + endY) / 2;
+            svg.createSvg('path', {
+                cls: 'paths-to-mocs-graph-edge',
+                attr: {
+                    d: `M ${from.x} ${startY} C ${from.x} ${middleY}, ${to.x} ${middleY}, ${to.x} ${endY}`,
+                    'marker-end': 'url(#paths-to-mocs-graph-arrow)',
+                },
+            });
+        }
+
+        const usedTags = new Set();
+        for (const [notePath, { x, y }] of centers) {
+            const mocTag = this.getMocTag(notePath, graph.mocTags);
+            const nodeEl = svg.createSvg('g', {
+                cls: 'paths-to-mocs-graph-node' + (notePath === currentNotePath ? ' is-active' : ''),
+                attr: { transform: `translate(${x}, ${y})` },
+            });
+            const rectEl = nodeEl.createSvg('rect', {
+                attr: { x: -GRAPH_NODE_WIDTH / 2, y: -GRAPH_NODE_HEIGHT / 2, width: GRAPH_NODE_WIDTH, height: GRAPH_NODE_HEIGHT, rx: 4 },
+            });
+            if (mocTag) {
+                usedTags.add(mocTag);
+                rectEl.setAttribute('style', `fill: ${GRAPH_TAG_COLORS[graph.mocTags.indexOf(mocTag) % GRAPH_TAG_COLORS.length]}`);
+            }
+            const name = this.plugin.getNoteName(notePath);
+            const labelEl = nodeEl.createSvg('text', { attr: { 'text-anchor': 'middle', 'dominant-baseline': 'central' } });
+            labelEl.textContent = name.length > GRAPH_LABEL_LENGTH ? name.slice(0, GRAPH_LABEL_LENGTH - 1) + '…' : name;
+            nodeEl.createSvg('title').textContent = name;
+            this.plugin.addNoteLinkEvents(nodeEl, notePath, containerEl);
+        }
+
+        if (usedTags.size > 0) {
+            const legendEl = containerEl.createDiv({ cls: 'paths-to-mocs-graph-legend' });
+            for (const tag of graph.mocTags.filter(tag => usedTags.has(tag))) {
+                const itemEl = legendEl.createSpan({ cls: 'paths-to-mocs-graph-legend-item' });
+                itemEl.createSpan({ cls: 'paths-to-mocs-graph-swatch' })
+                    .setAttribute('style', `background-color: ${GRAPH_TAG_COLORS[graph.mocTags.indexOf(tag) % GRAPH_TAG_COLORS.length]}`);
+                itemEl.appendText(`#${tag}`);
+            }
+        }
+    }
+}
+
+// Report of the problems found in the hierarchy, with links to the notes involved
+class HierarchyHealthView extends ItemView {
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+        this.contentEl.style.overflow = 'auto';
+    }
+
+    static VIEW_TYPE = "paths-to-mocs-health-view";
+
+    getViewType() {
+        return HierarchyHealthView.VIEW_TYPE;
+    }
+
+    getDisplayText() {
+        return "Hierarchy health";
+    }
+
+    getIcon() {
+        return "heart-pulse";
+    }
+
+    async onOpen() {
+        this.addAction("refresh-cw", "Refresh report", () => this.render());
+        await this.render();
+    }
+
+    async render() {
+        // Collect every report before emptying the view, so overlapping renders cannot both add their sections
+        const reports = [];
+        for (const profile of this.plugin.profiles) {
+            reports.push({ profile, report: await this.plugin.collectHealthReport(profile) });
+        }
+
+        const container = this.contentEl;
+        container.empty();
+        container.createEl("h3", { text: "Hierarchy health" });
+
+        const labelProfiles = reports.length > 1;
+        for (const { profile, report } of reports) {
+            if (labelProfiles) container.createEl("h4", { text: profile.name });
+
+            this.renderSection(container, "Cycles", report.cycles, (wrapper, cycle) =>
+                this.plugin.renderPathLine(wrapper, cycle, false, profile));
+            this.renderSection(container, "Notes that are parent and child of each other", report.conflicts, (wrapper, pair) =>
+                this.plugin.renderPathLine(wrapper, pair, false, profile));
+            this.renderSection(container, "Links to missing notes", report.danglingLinks, (wrapper, link) => {
+                this.plugin.createNoteLink(wrapper, link.notePath);
+                wrapper.appendText(`: ${link.property} → ${link.linkText}`);
+            });
+            this.renderSection(container, "Notes without a path to a MOC", report.unreachable, (wrapper, notePath) =>
+                this.plugin.createNoteLink(wrapper, notePath));
+            this.renderSection(container, `Paths longer than the search depth (${profile.settings.maxDepth})`, report.tooDeep, (wrapper, entry) => {
+                this.plugin.createNoteLink(wrapper, entry.notePath);
+                wrapper.appendText(` (shortest path: ${entry.length} notes)`);
+            });
+            this.renderSection(container, "Notes outside the hierarchy", report.orphans, (wrapper, notePath) =>
+                this.plugin.createNoteLink(wrapper, notePath));
+        }
+    }
+
+    renderSection(container, title, entries, renderEntry) {
+        const sectionContainer = container.createDiv({ cls: 'paths-to-mocs-header-container paths-to-mocs-section' });
+        sectionContainer.createDiv({ text: `${title} (${entries.length})`, cls: 'paths-to-mocs-section-title' });
+
+        if (entries.length === 0) {
+            sectionContainer.createDiv({ text: "None found.", cls: 'paths-to-mocs-section-empty' });
+            return;
+        }
+
+        for (const entry of entries) {
+            renderEntry(sectionContainer.createDiv({ cls: 'path-wrapper' }), entry);
+        }
+    }
+}
+
+// Rule and link helpers and the hierarchy index, exported for the tests in test/
+Object.assign(module.exports, {
+    globToRegExp, compileFolderRules, compileNoteRules, matchesNoteRules, parsePropertyRules,
+    stripLinkSubpath, parseLinkValues, splitRuleList, compileHeadingRules, HierarchyIndex,
+    layoutGraphLayers,
+});
\ No newline at end of file
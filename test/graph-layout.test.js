@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { layoutGraphLayers } = require('./load-main');
+
+const edge = (parent, child) => ({ parent, child });
+
+test('every note sits one layer below its lowest parent', () => {
+    const layers = layoutGraphLayers(['R', 'A', 'B', 'C'], [edge('R', 'A'), edge('R', 'B'), edge('A', 'C'), edge('B', 'C')]);
+    assert.deepStrictEqual(layers, [['R'], ['A', 'B'], ['C']]);
+});
+
+test('a cycle between two notes leaves no empty layers', () => {
+    const edges = [edge('R1', 'A'), edge('A', 'B'), edge('B', 'A'), edge('R2', 'B'), edge('A', 'N'), edge('B', 'N')];
+    const layers = layoutGraphLayers(['R1', 'R2', 'A', 'B', 'N'], edges);
+    assert.deepStrictEqual(layers.map(layer => [...layer].sort()), [['R1', 'R2'], ['A'], ['B'], ['N']]);
+    assert.ok(Number.isFinite(Math.max(...layers.map(layer => layer.length))));
+});
+
+test('notes only reachable through a cycle are laid out too', () => {
+    const layers = layoutGraphLayers(['A', 'B', 'C'], [edge('A', 'B'), edge('B', 'C'), edge('C', 'A')]);
+    assert.deepStrictEqual(layers, [['A'], ['B'], ['C']]);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitRuleList, compileHeadingRules } = require('./load-main');
+
+test('rule lists are split at commas and line breaks outside of regular expressions', () => {
+    const cases = [
+        ['Subprojects', ['Subprojects']],
+        ['Subprojects, Topics', ['Subprojects', 'Topics']],
+        ['Sub*, /^a{1,3}$/', ['Sub*', '/^a{1,3}$/']],
+        ['Sub*,/^a{1,3}$/', ['Sub*', '/^a{1,3}$/']],
+        ['/^(Sub|Child), notes$/i ,  Topics', ['/^(Sub|Child), notes$/i', 'Topics']],
+        ['/a\\/b, c/', ['/a\\/b, c/']],
+        ['Topics , , ', ['Topics']],
+        ['Topics\nSub*', ['Topics', 'Sub*']],
+        ['/^a, b$/\n/c/i', ['/^a, b$/', '/c/i']],
+        ['/Projects/Alpha, Beta', ['/Projects/Alpha', 'Beta']],
+        ['', []],
+        [undefined, []],
+    ];
+    for (const [value, expected] of cases) {
+        assert.deepStrictEqual(splitRuleList(value), expected, String(value));
+    }
+});
+
+test('header names match exactly, by prefix or by regular expression', () => {
+    const matches = (rules, heading) => compileHeadingRules(rules).some(matcher => matcher(heading));
+    assert.strictEqual(matches('Subprojects', 'Subprojects'), true);
+    assert.strictEqual(matches('Subprojects', 'Subprojects 2'), false);
+    assert.strictEqual(matches('Sub*', 'Subtopics'), true);
+    assert.strictEqual(matches('Topics, Sub*', 'Topic'), false);
+    assert.strictEqual(matches('Sub*, /^a{1,3}$/', 'aaa'), true);
+    assert.strictEqual(matches('Sub*, /^a{1,3}$/', 'aaaa'), false);
+    assert.strictEqual(matches('/^sub(projects|topics)$/i', 'Subtopics'), true);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PathsToMOCsPlugin = require('./load-main');
+
+function createPlugin() {
+    const plugin = new PathsToMOCsPlugin();
+    plugin.settings = {
+        propertyUp: "up", mocTags: "MOC", enableMocTags: true, maxDepth: 15, maxVisiblePaths: 0, labelMaxLength: 0,
+        pathSortOrder: "default", compactHeaderPaths: "auto", collapsedTreeNodes: {},
+        relationStyles: { up: "plain", down: "plain", tag: "plain" }, profiles: [],
+    };
+    plugin.saveSettings = async () => {};
+    plugin.loadProfiles = () => {};
+    plugin.invalidateAll = () => {};
+    return plugin;
+}
+
+test('valid settings are imported', async () => {
+    const plugin = createPlugin();
+    const skippedKeys = await plugin.importSettings(JSON.stringify({
+        propertyUp: "parent", maxDepth: 5, maxVisiblePaths: 3, pathSortOrder: "shortest", relationStyles: { up: "colored" },
+    }));
+    assert.deepStrictEqual(skippedKeys, []);
+    assert.strictEqual(plugin.settings.propertyUp, "parent");
+    assert.strictEqual(plugin.settings.maxDepth, 5);
+    assert.strictEqual(plugin.settings.maxVisiblePaths, 3);
+    assert.strictEqual(plugin.settings.pathSortOrder, "shortest");
+    assert.deepStrictEqual(plugin.settings.relationStyles, { up: "colored", down: "plain", tag: "plain" });
+});
+
+test('values the settings tab would not accept are skipped', async () => {
+    const plugin = createPlugin();
+    const skippedKeys = await plugin.importSettings(JSON.stringify({
+        maxDepth: 0, maxVisiblePaths: -1, labelMaxLength: 2.5, pathSortOrder: "random", compactHeaderPaths: "sometimes",
+        mocTags: 3, enableMocTags: "yes", unknownSetting: true, collapsedTreeNodes: { "Note.md": true },
+        relationStyles: { up: "bold", down: "icon", sideways: "plain" },
+    }));
+    assert.deepStrictEqual(skippedKeys.sort(), [
+        "collapsedTreeNodes", "compactHeaderPaths", "enableMocTags", "labelMaxLength", "maxDepth", "maxVisiblePaths",
+        "mocTags", "pathSortOrder", "relationStyles.sideways", "relationStyles.up", "unknownSetting",
+    ]);
+    assert.strictEqual(plugin.settings.maxDepth, 15);
+    assert.strictEqual(plugin.settings.pathSortOrder, "default");
+    assert.deepStrictEqual(plugin.settings.relationStyles, { up: "plain", down: "icon", tag: "plain" });
+    assert.deepStrictEqual(plugin.settings.collapsedTreeNodes, {});
+});
+
+test('malformed profiles and their invalid values are skipped', async () => {
+    const plugin = createPlugin();
+    const skippedKeys = await plugin.importSettings(JSON.stringify({
+        profiles: [
+            { id: "work", name: "Work", matchFolders: "Work", maxDepth: 4, propertyUp: "parent" },
+            { id: "notes", name: "Notes", maxDepth: -2, pathSortOrder: "shortest", matchTags: 5 },
+            "Projects",
+            { name: "No id" },
+            { id: "work", name: "Same id" },
+            { id: "default", name: "Default id" },
+        ],
+    }));
+    assert.deepStrictEqual(skippedKeys, [
+        "profiles[1].maxDepth", "profiles[1].pathSortOrder", "profiles[1].matchTags",
+        "profiles[2]", "profiles[3]", "profiles[4]", "profiles[5]",
+    ]);
+    const [work, notes] = plugin.settings.profiles;
+    assert.strictEqual(plugin.settings.profiles.length, 2);
+    assert.deepStrictEqual([work.id, work.name, work.matchFolders, work.matchTags], ["work", "Work", "Work", ""]);
+    assert.deepStrictEqual([work.maxDepth, work.propertyUp, work.mocTags], [4, "parent", "MOC"]);
+    assert.deepStrictEqual([notes.id, notes.name, notes.matchTags], ["notes", "Notes", ""]);
+    assert.strictEqual(notes.pathSortOrder, undefined);
+});
+
+test('imported profiles hold every profile setting, copied from the imported defaults when missing', async () => {
+    const plugin = createPlugin();
+    await plugin.importSettings(JSON.stringify({
+        profiles: [{ id: "work", name: "Work", matchFolders: "Work", matchTags: "" }],
+        maxDepth: 7,
+        enableMocTags: false,
+    }));
+    const [work] = plugin.settings.profiles;
+    assert.strictEqual(work.maxDepth, 7);
+    assert.strictEqual(work.enableMocTags, false);
+    assert.strictEqual(work.propertyUp, "up");
+    assert.strictEqual(work.mocTags, "MOC");
+});
+
+test('JSON that is not a settings object is rejected', async () => {
+    const plugin = createPlugin();
+    await assert.rejects(plugin.importSettings('[1, 2]'), /does not contain settings/);
+    await assert.rejects(plugin.importSettings('not json'), SyntaxError);
+});
@@ -0,0 +1,147 @@
+// Builds the hierarchy index over a synthetic vault and times the build, path lookups and incremental updates.
+// The vault size defaults to 30000 notes; set BENCH_NOTES to try another, e.g. BENCH_NOTES=100000 node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { performance } = require('node:perf_hooks');
+const PathsToMOCsPlugin = require('./load-main');
+const { HierarchyIndex, obsidian: { TFile, TFolder } } = PathsToMOCsPlugin;
+
+const NOTE_COUNT = Number(process.env.BENCH_NOTES) || 30000;
+const BRANCHING = 8; // Children of every note
+const LOOKUPS = 1000;
+
+// Note i is a child of note (i - 1) / BRANCHING. The root note is a MOC linking to its children, every hundredth note
+// lists its children under a "Subprojects" header, and the other notes link to their parent in "up". Every tenth note
+// has a second parent in "up", so notes are reached by several paths.
+function primaryParent(i) {
+    return Math.floor((i - 1) / BRANCHING);
+}
+
+function createVault(noteCount) {
+    const root = Object.assign(new TFolder(), { path: '/', parent: null, isRoot: () => true });
+    const folders = [];
+    for (let idx = 0; idx < 50; idx++) {
+        folders.push(Object.assign(new TFolder(), { path: `Folder ${idx}`, parent: root, isRoot: () => false }));
+    }
+    const files = [];
+    for (let i = 0; i < noteCount; i++) {
+        const parent = folders[i % folders.length];
+        files.push(Object.assign(new TFile(), {
+            path: `${parent.path}/Note ${i}.md`, basename: `Note ${i}`, extension: 'md', parent
+        }));
+    }
+
+    const childLinks = (i, firstLine) => {
+        const links = [];
+        for (let child = i * BRANCHING + 1; child <= i * BRANCHING + BRANCHING && child < noteCount; child++) {
+            const line = firstLine + links.length;
+            links.push({ link: `Note ${child}`, position: { start: { line, offset: line * 20 } } });
+        }
+        return links;
+    };
+    const metadata = files.map((file, i) => {
+        if (i === 0) return { frontmatter: { tags: ['MOC'] }, links: childLinks(i, 1) };
+        const upLinks = [];
+        if (primaryParent(i) !== 0 && primaryParent(i) % 100 !== 0) upLinks.push(`[[Note ${primaryParent(i)}]]`);
+        if (i % 10 === 0 && i > BRANCHING) upLinks.push(`[[Note ${Math.floor(i / 3)}]]`);
+        const noteMetadata = {
+            frontmatter: { up: upLinks },
+            frontmatterLinks: upLinks.map((link, idx) => ({ key: `up.${idx}`, link: link.slice(2, -2) })),
+        };
+        if (i % 100 === 0) {
+            noteMetadata.headings = [{ heading: 'Subprojects', level: 2, position: { start: { line: 0 } } }];
+            noteMetadata.links = childLinks(i, 1);
+        }
+        return noteMetadata;
+    });
+
+    const metadataByPath = new Map(files.map((file, i) => [file.path, metadata[i]]));
+    const filesByPath = new Map(files.map(file => [file.path, file]));
+    const filesByName = new Map(files.map(file => [file.basename, file]));
+    const app = {
+        vault: {
+            getMarkdownFiles: () => files,
+            getFiles: () => files,
+            getAbstractFileByPath: (filePath) => filesByPath.get(filePath) || null,
+        },
+        metadataCache: {
+            getFileCache: (file) => file ? metadataByPath.get(file.path) || null : null,
+            getFirstLinkpathDest: (linkText) => filesByPath.get(linkText) || filesByName.get(linkText) || null,
+        },
+    };
+    return { app, files, metadataByPath };
+}
+
+function createPlugin(app) {
+    const plugin = new PathsToMOCsPlugin();
+    plugin.app = app;
+    plugin.settings = {
+        propertyUp: "up", propertyDown: "down", mocTags: "MOC", headerName: "Subprojects",
+        enablePropertyUp: true, enablePropertyDown: true, enableMocTags: true, enableHeaderName: true,
+        enableInlineFields: false, enableFolderNotes: false, enableCanvas: false,
+        headerIncludeEmbeds: false, headerNestedLists: false,
+        excludedFolders: "", excludedTags: "", excludedProperties: "",
+        rootExcludedFolders: "", rootExcludedTags: "", rootExcludedProperties: "",
+        enableCaching: false, maxDepth: 15, pathSortOrder: "default", onePathPerRoot: false,
+        pinnedParentProperty: "primary-parent", breadcrumbProperty: "breadcrumbs", profiles: [],
+    };
+    plugin.loadProfiles();
+    return plugin;
+}
+
+function time(fn) {
+    const start = performance.now();
+    const result = fn();
+    return { result, ms: performance.now() - start };
+}
+
+test(`hierarchy index on a synthetic vault of ${NOTE_COUNT} notes`, async (t) => {
+    const { app, files, metadataByPath } = createVault(NOTE_COUNT);
+    const plugin = createPlugin(app);
+    const index = plugin.defaultProfile.index;
+    assert.ok(index instanceof HierarchyIndex);
+
+    const build = time(() => index.ensureBuilt());
+    t.diagnostic(`build: ${build.ms.toFixed(0)} ms`);
+
+    // Lookups of notes spread over the vault, without the path cache
+    const lookupNotes = Array.from({ length: LOOKUPS }, (_, idx) => files[Math.floor(idx * (NOTE_COUNT - 1) / (LOOKUPS - 1))]);
+    let pathCount = 0;
+    const lookupStart = performance.now();
+    for (const file of lookupNotes) {
+        pathCount += (await plugin.calculatePaths(file.path)).length;
+    }
+    const lookupMs = (performance.now() - lookupStart) / LOOKUPS;
+    t.diagnostic(`path lookup: ${lookupMs.toFixed(3)} ms per note, ${(pathCount / LOOKUPS).toFixed(1)} paths per note`);
+
+    // The chain of primary parents is one of the paths of the deepest note
+    const lastNote = NOTE_COUNT - 1;
+    const expectedPath = [];
+    for (let i = lastNote; i > 0; i = primaryParent(i)) expectedPath.unshift(files[i].path);
+    expectedPath.unshift(files[0].path);
+    const paths = await plugin.calculatePaths(files[lastNote].path);
+    assert.ok(paths.some(path => JSON.stringify(path) === JSON.stringify(expectedPath)),
+        `expected ${expectedPath.join(' → ')} among ${paths.length} paths`);
+
+    // Moving notes under the root MOC one by one keeps the index current. Notes listed under a header keep that
+    // parent, so only notes with their parents in "up" are moved.
+    const movedNotes = files.filter((file, i) => i > BRANCHING && i % 7 === 0 && primaryParent(i) % 100 !== 0).slice(0, LOOKUPS);
+    const update = time(() => {
+        for (const file of movedNotes) {
+            metadataByPath.set(file.path, {
+                frontmatter: { up: ['[[Note 0]]'] },
+                frontmatterLinks: [{ key: 'up.0', link: 'Note 0' }],
+            });
+            index.updateFile(file);
+        }
+    });
+    t.diagnostic(`incremental update: ${(update.ms / movedNotes.length).toFixed(3)} ms per note`);
+    for (const file of movedNotes) {
+        assert.deepStrictEqual(index.getParents(file.path), [files[0].path]);
+        assert.ok(index.getChildren(files[0].path).includes(file.path));
+    }
+
+    // Loose bounds, far above the timings on a slow machine, to catch lookups that scan the vault again
+    assert.ok(lookupMs < 50, `path lookup took ${lookupMs.toFixed(1)} ms per note`);
+    assert.ok(update.ms / movedNotes.length < 20, `incremental update took ${(update.ms / movedNotes.length).toFixed(1)} ms per note`);
+});
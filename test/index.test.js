@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PathsToMOCsPlugin = require('./load-main');
+const { obsidian: { TFile, TFolder } } = PathsToMOCsPlugin;
+
+// Vault of the given notes, as { path: metadata }, in folders below the vault root
+function createPlugin(notes, settings) {
+    const root = Object.assign(new TFolder(), { path: '/', name: '', parent: null, isRoot: () => true });
+    const folders = new Map([['', root]]);
+    const getFolder = (folderPath) => {
+        if (!folders.has(folderPath)) {
+            const slashIndex = folderPath.lastIndexOf('/');
+            folders.set(folderPath, Object.assign(new TFolder(), {
+                path: folderPath, name: folderPath.slice(slashIndex + 1), isRoot: () => false,
+                parent: getFolder(slashIndex === -1 ? '' : folderPath.slice(0, slashIndex)),
+            }));
+        }
+        return folders.get(folderPath);
+    };
+    const files = Object.keys(notes).map(notePath => Object.assign(new TFile(), {
+        path: notePath, basename: notePath.replace(/^.*\//, '').replace(/\.md$/, ''), extension: 'md',
+        parent: getFolder(notePath.includes('/') ? notePath.slice(0, notePath.lastIndexOf('/')) : ''),
+    }));
+    const plugin = new PathsToMOCsPlugin();
+    plugin.app = {
+        vault: {
+            getMarkdownFiles: () => files,
+            getAbstractFileByPath: (filePath) => files.find(file => file.path === filePath) || null,
+        },
+        metadataCache: {
+            getFileCache: (file) => notes[file.path] || null,
+            getFirstLinkpathDest: (linkText) => files.find(file => file.path === linkText || file.basename === linkText) || null,
+        },
+    };
+    plugin.settings = Object.assign({
+        propertyUp: "up", propertyDown: "down", mocTags: "MOC", headerName: "Subprojects",
+        enablePropertyUp: true, enablePropertyDown: true, enableMocTags: true, enableHeaderName: true,
+        enableInlineFields: false, enableFolderNotes: false, folderNoteNames: "{folder}, index",
+        folderParentOnlyWithoutUp: true, enableCanvas: false,
+        pinnedParentProperty: "primary-parent", breadcrumbProperty: "breadcrumbs", profiles: [],
+    }, settings);
+    plugin.loadProfiles();
+    return plugin;
+}
+
+test('folder notes are skipped only for notes with parent links that are read', () => {
+    const notes = {
+        'Projects/Projects.md': {},
+        'Projects/Note.md': { frontmatter: { up: '[[Other]]' } },
+        'Other.md': {},
+    };
+    const parents = (settings) => createPlugin(notes, { enableFolderNotes: true, ...settings })
+        .defaultProfile.index.getParents('Projects/Note.md');
+    assert.deepStrictEqual(parents({}), ['Other.md']);
+    assert.deepStrictEqual(parents({ enablePropertyUp: false }), ['Projects/Projects.md']);
+    assert.deepStrictEqual(parents({ folderParentOnlyWithoutUp: false }).sort(), ['Other.md', 'Projects/Projects.md']);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { stripLinkSubpath, parseLinkValues } = require('./load-main');
+
+test('stripLinkSubpath keeps the note part of a link text', () => {
+    const cases = [
+        ['Note', 'Note'],
+        ['Note#Heading', 'Note'],
+        ['Note#Heading#Subheading', 'Note'],
+        ['Note#^block', 'Note'],
+        ['Note^block', 'Note'],
+        ['Note|Alias', 'Note'],
+        ['Note#Heading|Alias', 'Note'],
+        ['Note\\|Alias', 'Note'],
+        ['  Folder/Note  ', 'Folder/Note'],
+        ['#Heading', ''],
+    ];
+    for (const [linkText, expected] of cases) {
+        assert.strictEqual(stripLinkSubpath(linkText), expected, linkText);
+    }
+});
+
+test('parseLinkValues reads the links of a frontmatter value', () => {
+    const cases = [
+        // Wikilinks and embeds
+        ['[[Note]]', ['Note']],
+        ['[[Note#Heading]]', ['Note']],
+        ['[[Note#^block]]', ['Note']],
+        ['[[Note#Section|Alias]]', ['Note']],
+        ['[[Folder/Note|Alias]]', ['Folder/Note']],
+        ['[[Note\\|Alias]]', ['Note']],
+        ['![[Diagram.png]]', ['Diagram.png']],
+        ['[[A]], [[B]]', ['A', 'B']],
+        // Markdown links
+        ['[Alias](Folder/Note.md)', ['Folder/Note.md']],
+        ['[Alias](Note.md#Heading)', ['Note.md']],
+        ['[Alias](Note.md "Title")', ['Note.md']],
+        ['[Alias](<Folder/My Note.md>)', ['Folder/My Note.md']],
+        ['[Alias](Folder/My%20Note.md)', ['Folder/My Note.md']],
+        ['[Alias](100%.md)', ['100%.md']],
+        ['![Alias](Image.png)', ['Image.png']],
+        ['[[A]] and [B](B.md)', ['A', 'B.md']],
+        // External URLs
+        ['[Site](https://example.com/page)', []],
+        ['https://example.com/page', []],
+        ['[[Note]] [Site](https://example.com)', ['Note']],
+        // Plain names and paths
+        ['Note', ['Note']],
+        ['Folder/Note', ['Folder/Note']],
+        ['Note#Heading', ['Note']],
+        ['', []],
+        // Lists; YAML reads an unquoted [[Note]] as a nested list
+        [['[[A]]', '[[B]]'], ['A', 'B']],
+        [[['Note']], ['Note']],
+        [[[['Note']]], ['Note']],
+        [[['A'], ['B']], ['A', 'B']],
+        [['[[A]]', ['B'], 'C'], ['A', 'B', 'C']],
+        [[], []],
+        // Numbers are note names, other values hold no links
+        [2024, ['2024']],
+        [[2024, '[[Note]]'], ['2024', 'Note']],
+        [true, []],
+        [false, []],
+        [null, []],
+        [undefined, []],
+        [{ link: '[[Note]]' }, []],
+    ];
+    for (const [value, expected] of cases) {
+        assert.deepStrictEqual(parseLinkValues(value), expected, JSON.stringify(value));
+    }
+});
@@ -0,0 +1,26 @@
+// Loads main.js outside Obsidian. The plugin takes only base classes and a few functions from the obsidian
+// module, which has no code of its own on npm, so any name it asks for gets an empty stand-in.
+const Module = require('module');
+const path = require('path');
+
+class TAbstractFile {}
+class TFile extends TAbstractFile {}
+class TFolder extends TAbstractFile {}
+
+const standIns = new Map([["TAbstractFile", TAbstractFile], ["TFile", TFile], ["TFolder", TFolder]]);
+const obsidian = new Proxy({}, {
+    get(target, name) {
+        if (!standIns.has(name)) {
+            standIns.set(name, /^[A-Z]/.test(name) ? class {} : () => {});
+        }
+        return standIns.get(name);
+    },
+});
+
+const originalLoad = Module._load;
+Module._load = function (request, ...args) {
+    return request === 'obsidian' ? obsidian : originalLoad.call(this, request, ...args);
+};
+
+module.exports = require(path.join(__dirname, '..', 'main.js'));
+module.exports.obsidian = { TFile, TFolder };
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { globToRegExp, compileFolderRules, compileNoteRules, matchesNoteRules, parsePropertyRules } = require('./load-main');
+
+// File as the rules see it: a path and the path of its folder
+function file(filePath) {
+    const folderPath = filePath.includes('/') ? filePath.slice(0, filePath.lastIndexOf('/')) : '';
+    return { path: filePath, parent: { path: folderPath } };
+}
+
+function matchesFolders(rules, filePath) {
+    return compileFolderRules(rules).some(matches => matches(file(filePath)));
+}
+
+test('a plain folder rule matches the folder and its subfolders only', () => {
+    assert.strictEqual(matchesFolders(['Archive'], 'Archive/Note.md'), true);
+    assert.strictEqual(matchesFolders(['Archive'], 'Archive/2023/Note.md'), true);
+    assert.strictEqual(matchesFolders(['Archive'], 'Archive2/Note.md'), false);
+    assert.strictEqual(matchesFolders(['Archive'], 'Archive.md'), false);
+    assert.strictEqual(matchesFolders(['/Archive/'], 'Archive/Note.md'), true);
+});
+
+test('globs match within a name with * and across folders with **', () => {
+    assert.match('Projects/Alpha/Note.md', globToRegExp('Projects/*/Note.md'));
+    assert.doesNotMatch('Projects/Alpha/Beta/Note.md', globToRegExp('Projects/*/Note.md'));
+    assert.match('Projects/Alpha/Beta/Note.md', globToRegExp('Projects/**'));
+    assert.match('draft?.md', globToRegExp('draft?.md'));
+    assert.doesNotMatch('a/b.md', globToRegExp('a?b.md'));
+});
+
+test('**/ also matches no folder at all', () => {
+    assert.strictEqual(matchesFolders(['**/Templates/*'], 'Templates/Daily.md'), true);
+    assert.strictEqual(matchesFolders(['**/Templates/*'], 'Work/Templates/Daily.md'), true);
+    assert.strictEqual(matchesFolders(['**/Templates/*'], 'Work/Templates/Old/Daily.md'), false);
+    assert.strictEqual(matchesFolders(['**/Templates/*'], 'MyTemplates/Daily.md'), false);
+});
+
+test('regular expression rules match the file path with their flags', () => {
+    assert.strictEqual(matchesFolders(['/^Journal\\/\\d{4}\\//'], 'Journal/2024/Note.md'), true);
+    assert.strictEqual(matchesFolders(['/^Journal\\/\\d{4}\\//'], 'Journal/Ideas/Note.md'), false);
+    assert.strictEqual(matchesFolders(['/^archive$/m'], 'Archive'), true);
+});
+
+test('every kind of folder rule ignores case', () => {
+    for (const rule of ['archive', 'ARCHIVE/', 'archiv?/**', '/^archive\\//', '/^ARCHIVE\\//i']) {
+        assert.strictEqual(matchesFolders([rule], 'Archive/a.md'), true, rule);
+        assert.strictEqual(matchesFolders([rule], 'Other/a.md'), false, rule);
+    }
+});
+
+test('folder rule lists split at commas and line breaks outside of regular expressions', () => {
+    const rules = compileNoteRules('Archive, /^J\\d{1,3}\\//\n**/Templates/*,Old', '', '');
+    assert.strictEqual(rules.folders.length, 4);
+    const matches = (filePath) => matchesNoteRules(file(filePath), null, rules);
+    assert.strictEqual(matches('Archive/a.md'), true);
+    assert.strictEqual(matches('J12/a.md'), true);
+    assert.strictEqual(matches('J1234/a.md'), false);
+    assert.strictEqual(matches('Work/Templates/a.md'), true);
+    assert.strictEqual(matches('Old/a.md'), true);
+    assert.strictEqual(matches('Notes/a.md'), false);
+});
+
+test('an invalid regular expression is skipped', (t) => {
+    t.mock.method(console, 'error', () => {});
+    assert.deepStrictEqual(compileFolderRules(['/[/']), []);
+});
+
+test('tag rules match nested tags from the frontmatter and the body', () => {
+    const rules = compileNoteRules('', '#status, project', '');
+    const matches = (metadata) => matchesNoteRules(file('Note.md'), metadata, rules);
+    assert.strictEqual(matches({ frontmatter: { tags: ['status/done'] } }), true);
+    assert.strictEqual(matches({ frontmatter: { tags: 'Project' } }), true);
+    assert.strictEqual(matches({ tags: [{ tag: '#status/draft/old' }] }), true);
+    assert.strictEqual(matches({ frontmatter: { tags: ['statuses'] } }), false);
+    assert.strictEqual(matches({ frontmatter: { tags: [2024] } }), false);
+    assert.strictEqual(matches(null), false);
+});
+
+test('property conditions with and without a value', () => {
+    assert.deepStrictEqual(parsePropertyRules(['draft: true', 'status:Archived', 'hidden']), [
+        { key: 'draft', value: 'true' },
+        { key: 'status', value: 'archived' },
+        { key: 'hidden', value: null },
+    ]);
+
+    const rules = compileNoteRules('', '', 'draft: true\nstatus: archived, hidden');
+    const matches = (frontmatter) => matchesNoteRules(file('Note.md'), { frontmatter }, rules);
+    assert.strictEqual(matches({ draft: true }), true);
+    assert.strictEqual(matches({ draft: 'TRUE' }), true);
+    assert.strictEqual(matches({ draft: false }), false);
+    assert.strictEqual(matches({ status: ['active', 'Archived'] }), true);
+    assert.strictEqual(matches({ hidden: 'yes' }), true);
+    assert.strictEqual(matches({ hidden: false }), false);
+    assert.strictEqual(matches({ hidden: '' }), false);
+    assert.strictEqual(matches({}), false);
+});
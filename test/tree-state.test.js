@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PathsToMOCsPlugin = require('./load-main');
+const { obsidian: { TFolder } } = PathsToMOCsPlugin;
+
+const folder = (folderPath) => Object.assign(new TFolder(), { path: folderPath });
+
+// Plugin with the given collapsed tree nodes, counting how often its settings are saved
+function createPlugin(collapsedTreeNodes) {
+    const plugin = new PathsToMOCsPlugin();
+    plugin.app = { vault: { getRoot: () => folder('/'), getAbstractFileByPath: () => null } };
+    plugin.settings = { collapsedTreeNodes };
+    plugin.saves = 0;
+    plugin.saveSettings = async () => { plugin.saves++; };
+    plugin.invalidateAll = () => {};
+    return plugin;
+}
+
+test('collapsed tree nodes follow a renamed folder', () => {
+    const plugin = createPlugin({
+        'Work/Note.md': ['Root.md', 'Root.md\nWork/Mid.md'],
+        'Other.md': ['Root.md\nWork/Mid.md'],
+        'Workshop/Note.md': ['Root.md'],
+    });
+    plugin.handleFileRenamed(folder('Projects'), 'Work');
+    assert.deepStrictEqual(plugin.settings.collapsedTreeNodes, {
+        'Projects/Note.md': ['Root.md', 'Root.md\nProjects/Mid.md'],
+        'Other.md': ['Root.md\nProjects/Mid.md'],
+        'Workshop/Note.md': ['Root.md'],
+    });
+    assert.strictEqual(plugin.saves, 1);
+});
+
+test('collapsed tree nodes of deleted notes are dropped', () => {
+    const plugin = createPlugin({
+        'Work/Note.md': ['Root.md'],
+        'Other.md': ['Root.md', 'Root.md\nWork/Mid.md'],
+        'Third.md': ['Root.md\nWork/Mid.md'],
+    });
+    plugin.handleFileDeleted(folder('Work'));
+    assert.deepStrictEqual(plugin.settings.collapsedTreeNodes, { 'Other.md': ['Root.md'] });
+    assert.strictEqual(plugin.saves, 1);
+});
+
+test('settings are not saved when no collapsed tree node changes', () => {
+    const plugin = createPlugin({ 'Note.md': ['Root.md'] });
+    plugin.handleFileRenamed(folder('Projects'), 'Work');
+    assert.strictEqual(plugin.saves, 0);
+});